@@ -22,6 +22,7 @@ const DOM = {
     // Search and Results Section
     search: {
         input: document.getElementById('searchInput'),
+        scopeSelect: document.getElementById('searchScopeSelect'),
         list: document.getElementById('resultsList'),
         count: document.getElementById('resultsCount')
     },
@@ -31,7 +32,13 @@ const DOM = {
         list: document.getElementById('selectedList'),
         count: document.getElementById('selectedCount'),
         exportBtn: document.getElementById('exportBtn'),
-        clearBtn: document.getElementById('clearBtn')
+        clearBtn: document.getElementById('clearBtn'),
+        shareBtn: document.getElementById('shareSelectionBtn'),
+        importInput: document.getElementById('importFileInput'),
+        redundancyNotice: document.getElementById('redundancyNotice'),
+        redundancyText: document.getElementById('redundancyText'),
+        keepSpecificBtn: document.getElementById('keepSpecificBtn'),
+        dropZone: document.querySelector('.selected-section')
     },
     
     // Modal Dialog Elements
@@ -40,18 +47,137 @@ const DOM = {
         closeBtn: document.querySelector('.close'),
         name: document.getElementById('modalTermName'),
         id: document.getElementById('modalTermId'),
+        translation: document.getElementById('modalTermTranslation'),
         definition: document.getElementById('modalTermDefinition'),
         synonyms: document.getElementById('modalTermSynonyms'),
         addBtn: document.getElementById('addFromModal'),
+        favoriteBtn: document.getElementById('modalFavoriteBtn'),
+        scopeBtn: document.getElementById('modalScopeBtn'),
         genes: document.getElementById('modalGenes'),
+        copyGenesBtn: document.getElementById('copyGenesBtn'),
+        copyDiseasesBtn: document.getElementById('copyDiseasesBtn'),
+        annotationControls: document.querySelectorAll('.annotation-controls'),
         diseases: document.getElementById('modalDiseases'),
-        parents: document.getElementById('modalParents'),
-        children: document.getElementById('modalChildren')
+        breadcrumbs: document.getElementById('modalBreadcrumbs'),
+        backBtn: document.getElementById('modalBackBtn'),
+        forwardBtn: document.getElementById('modalForwardBtn'),
+        trail: document.getElementById('modalTrail'),
+        tree: document.getElementById('modalTree'),
+        treeModeButtons: document.querySelectorAll('.tree-mode-btn')
     },
     
     // Favorites Section
     favorites: {
-        list: document.getElementById('favorites-list')
+        container: document.getElementById('favoritesGroups'),
+        viewButtons: document.querySelectorAll('.favorites-view button'),
+        newGroupBtn: document.getElementById('newFavoriteGroupBtn'),
+        importInput: document.getElementById('favoritesImportInput'),
+        exportBtn: document.getElementById('exportFavoritesBtn')
+    },
+    
+    // Gene Prioritization Panel
+    genePanel: {
+        container: document.getElementById('genePanelModal'),
+        openBtn: document.getElementById('rankGenesBtn'),
+        closeBtn: document.querySelector('#genePanelModal .close'),
+        status: document.getElementById('genePanelStatus'),
+        table: document.getElementById('geneRankingTable'),
+        body: document.querySelector('#geneRankingTable tbody'),
+        exportBtn: document.getElementById('exportGenePanelBtn')
+    },
+    
+    // Differential Diagnosis Panel
+    differential: {
+        container: document.getElementById('differentialModal'),
+        openBtn: document.getElementById('differentialBtn'),
+        closeBtn: document.querySelector('#differentialModal .close'),
+        status: document.getElementById('differentialStatus'),
+        body: document.querySelector('#differentialTable tbody')
+    },
+    
+    // Profile Comparison Dialog
+    compare: {
+        container: document.getElementById('compareModal'),
+        openBtn: document.getElementById('compareBtn'),
+        closeBtn: document.querySelector('#compareModal .close'),
+        caseSelect: document.getElementById('compareCaseSelect'),
+        fileInput: document.getElementById('compareFileInput'),
+        input: document.getElementById('compareInput'),
+        status: document.getElementById('compareStatus'),
+        results: document.getElementById('compareResults'),
+        runBtn: document.getElementById('runCompareBtn')
+    },
+    
+    // Patient/Sample Case Switcher
+    cases: {
+        select: document.getElementById('caseSelect'),
+        sampleInput: document.getElementById('sample_id'),
+        newBtn: document.getElementById('newCaseBtn'),
+        renameBtn: document.getElementById('renameCaseBtn'),
+        duplicateBtn: document.getElementById('duplicateCaseBtn'),
+        deleteBtn: document.getElementById('deleteCaseBtn')
+    },
+    
+    // Clinical Note Annotation Dialog
+    note: {
+        container: document.getElementById('noteModal'),
+        openBtn: document.getElementById('pasteNoteBtn'),
+        closeBtn: document.querySelector('#noteModal .close'),
+        input: document.getElementById('noteInput'),
+        annotateBtn: document.getElementById('annotateNoteBtn'),
+        editBtn: document.getElementById('editNoteBtn'),
+        acceptAllBtn: document.getElementById('acceptAllNoteBtn'),
+        status: document.getElementById('noteStatus'),
+        highlighted: document.getElementById('noteHighlighted'),
+        candidates: document.getElementById('noteCandidates')
+    },
+    
+    // Offline Ontology Source Section
+    ontology: {
+        status: document.getElementById('ontologyStatus'),
+        cacheStatus: document.getElementById('cacheStatus'),
+        cacheTTL: document.getElementById('cacheTTLSelect'),
+        clearCacheBtn: document.getElementById('clearCacheBtn'),
+        fileInput: document.getElementById('ontologyFileInput'),
+        bundledBtn: document.getElementById('loadBundledOntologyBtn'),
+        unloadBtn: document.getElementById('unloadOntologyBtn'),
+        providerBtn: document.getElementById('providerSettingsBtn'),
+        languageSelect: document.getElementById('languageSelect'),
+        translationInput: document.getElementById('translationFileInput'),
+        translationStatus: document.getElementById('translationStatus')
+    },
+    
+    // Data source settings dialog
+    provider: {
+        container: document.getElementById('providerModal'),
+        closeBtn: document.querySelector('#providerModal .close'),
+        select: document.getElementById('providerSelect'),
+        baseUrl: document.getElementById('providerBaseUrl'),
+        description: document.getElementById('providerDescription'),
+        status: document.getElementById('providerStatus'),
+        testBtn: document.getElementById('testProviderBtn'),
+        saveBtn: document.getElementById('saveProviderBtn')
+    },
+    
+    // Export Dialog
+    export: {
+        container: document.getElementById('exportModal'),
+        closeBtn: document.querySelector('#exportModal .close'),
+        formatSelect: document.getElementById('exportFormatSelect'),
+        options: document.getElementById('exportOptions'),
+        status: document.getElementById('exportStatus'),
+        warning: document.getElementById('exportWarning'),
+        preview: document.getElementById('exportPreview'),
+        copyBtn: document.getElementById('copyExportBtn'),
+        downloadBtn: document.getElementById('downloadExportBtn')
+    },
+    
+    // Keyboard Shortcuts Dialog
+    help: {
+        container: document.getElementById('helpModal'),
+        openBtn: document.getElementById('helpBtn'),
+        closeBtn: document.querySelector('#helpModal .close'),
+        table: document.getElementById('shortcutsTable')
     }
 };
 
@@ -73,8 +199,113 @@ const AppState = {
     // Search debounce timer reference
     searchTimeout: null,
     
+    // ID of the most recent search; responses for older searches are discarded
+    latestSearchId: 0,
+    
+    // Ontology branch searches are restricted to ({ id, name }), or null for all of HPO
+    searchScope: null,
+    
+    // Top-level phenotype categories offered as search scopes
+    searchScopeCategories: [],
+    
     // Flag to track if modal data is loading
-    isLoadingModalData: false
+    isLoadingModalData: false,
+    
+    // Gene and disease records of the term shown in the modal
+    annotations: {
+        genes: [],
+        diseases: []
+    },
+    
+    // Terms visited in the modal since it was opened, the one shown, and the latest load
+    modalHistory: {
+        entries: [],
+        index: -1,
+        loadId: 0
+    },
+    
+    // Saved patient/sample cases and the one being edited
+    cases: [],
+    activeCaseId: null,
+    
+    // Locally loaded HPO release (null when using the live APIs)
+    ontology: null,
+    
+    // ID of the latest differential diagnosis run, so slower earlier runs are discarded
+    latestDifferentialId: 0,
+    
+    // ID of the latest profile comparison, so slower earlier runs are discarded
+    latestComparisonId: 0,
+    
+    // Interface language and the loaded HPO translation (null when showing English only)
+    language: 'en',
+    translation: null,
+    
+    // Live data provider in use and the base URL chosen for each provider
+    dataProvider: {
+        id: 'nih-jax',
+        baseUrls: {}
+    },
+    
+    // API response cache: in-flight requests, recent responses and the IndexedDB handle
+    responseCache: {
+        inFlight: new Map(),
+        memory: new Map(),
+        db: null
+    },
+    
+    // Ontology tree panel in the modal: 'term' starts at the current term, 'root' at the top
+    tree: {
+        mode: 'term',
+        loadId: 0
+    },
+    
+    // Selected terms made redundant by another selected term, and the pending check
+    redundancy: {
+        byTermId: new Map(),
+        check: null
+    },
+    
+    // Concept recognition results for the pasted clinical note
+    noteAnnotation: {
+        text: '',
+        candidates: []
+    },
+    
+    // Long lists rendered a page at a time, keyed by their container element
+    pagedLists: new Map(),
+    
+    // Aggregated gene ranking shown in the gene prioritization panel, and the latest ranking run
+    geneRanking: {
+        rows: [],
+        sortKey: 'count',
+        sortDescending: true,
+        loadId: 0
+    },
+    
+    // Open dialogs, topmost last, with the element to refocus when each closes
+    dialogStack: [],
+    
+    // Pinned favorites in named groups, and whether the panel shows them or the most used terms
+    favorites: {
+        groups: [],
+        view: 'pinned'
+    },
+    
+    // How often each term was added to a selection, keyed by term ID
+    termUsage: {},
+    
+    // Export dialog: generated content for the chosen format, and definitions fetched for it
+    exportPreview: {
+        content: '',
+        definitions: new Map(),
+        // HPO release of the data being exported; undefined until looked up
+        releaseVersion: undefined,
+        loadId: 0
+    },
+    
+    // Remembered values of the export option fields (VCF path, assembly, ...)
+    exportOptions: {}
 };
 
 // =============================================================================
@@ -86,22 +317,87 @@ const AppState = {
  * Centralized configuration makes API changes easier to manage
  */
 const API_CONFIG = {
-    HPO_SEARCH: (query) => 
-        `https://clinicaltables.nlm.nih.gov/api/hpo/v3/search?terms=${encodeURIComponent(query)}&maxList=500&df=id,name,definition,synonym.term`,
+    HPO_SEARCH: (query, offset) => 
+        `https://clinicaltables.nlm.nih.gov/api/hpo/v3/search?terms=${encodeURIComponent(query)}&count=${SEARCH_CONFIG.PAGE_SIZE}&offset=${offset}&df=id,name,definition,synonym.term`,
+    
+    JAX_BASE_URL: 'https://ontology.jax.org/api',
+    
+    JAX_TERM: (baseUrl, hpId) => 
+        `${baseUrl}/hp/terms/${encodeURIComponent(hpId)}`,
+    
+    JAX_ANNOTATIONS: (baseUrl, hpId) => 
+        `${baseUrl}/network/annotation/${encodeURIComponent(hpId)}`,
+    
+    JAX_PARENTS: (baseUrl, hpId) => 
+        `${baseUrl}/hp/terms/${encodeURIComponent(hpId)}/parents`,
     
-    JAX_TERM: (hpId) => 
-        `https://ontology.jax.org/api/hp/terms/${encodeURIComponent(hpId)}`,
+    JAX_CHILDREN: (baseUrl, hpId) => 
+        `${baseUrl}/hp/terms/${encodeURIComponent(hpId)}/children`,
     
-    JAX_ANNOTATIONS: (hpId) => 
-        `https://ontology.jax.org/api/network/annotation/${encodeURIComponent(hpId)}`,
+    JAX_DESCENDANTS: (baseUrl, hpId) => 
+        `${baseUrl}/hp/terms/${encodeURIComponent(hpId)}/descendants`,
     
-    JAX_PARENTS: (hpId) => 
-        `https://ontology.jax.org/api/hp/terms/${encodeURIComponent(hpId)}/parents`,
+    OLS_BASE_URL: 'https://www.ebi.ac.uk/ols4',
     
-    JAX_CHILDREN: (hpId) => 
-        `https://ontology.jax.org/api/hp/terms/${encodeURIComponent(hpId)}/children`
+    OLS_SEARCH: (baseUrl, query, offset) => 
+        `${baseUrl}/api/search?q=${encodeURIComponent(query)}&ontology=hp&type=class&rows=${SEARCH_CONFIG.PAGE_SIZE}&start=${offset}&fieldList=obo_id,label,description,synonym`,
+    
+    // OLS addresses terms by their IRI, URL-encoded twice
+    OLS_ONTOLOGY: (baseUrl) => 
+        `${baseUrl}/api/ontologies/hp`,
+    
+    OLS_TERM: (baseUrl, hpId) => 
+        `${baseUrl}/api/ontologies/hp/terms/${encodeURIComponent(encodeURIComponent(`http://purl.obolibrary.org/obo/${hpId.replace(':', '_')}`))}`,
+    
+    OLS_RELATED: (baseUrl, hpId, relation, page) => 
+        `${API_CONFIG.OLS_TERM(baseUrl, hpId)}/${relation}?size=1000&page=${page}`
 };
 
+/**
+ * Live ontology data providers. Every provider answers in the same shapes, so the rest of the
+ * application does not depend on where data comes from; each method takes the base URL first.
+ *   search(baseUrl, query, offset)   -> { terms: [{ id, name, definition, synonyms }], consumed, total } for one
+ *                                       page, where consumed is how many raw matches the page covered
+ *   term(baseUrl, hpId)              -> { id, name, definition, synonyms }, or null when unknown or obsolete
+ *   parents/children(baseUrl, hpId)  -> [{ id, name }]
+ *   descendants(baseUrl, hpId)       -> [id]
+ *   annotations(baseUrl, hpId)       -> { genes, diseases } of { id, name } records
+ *   releaseVersion(baseUrl)          -> HPO release label such as '2024-04-26', or null when not reported
+ * Methods reject with the fetchJSON error when the backend cannot answer.
+ */
+const DATA_PROVIDERS = [
+    {
+        id: 'nih-jax',
+        label: 'NIH Clinical Tables / JAX',
+        description: 'Search from the NIH Clinical Tables API; terms, hierarchy and gene/disease annotations ' +
+            'from the JAX ontology API. The base URL is the JAX API.',
+        defaultBaseUrl: API_CONFIG.JAX_BASE_URL,
+        search: searchClinicalTables,
+        term: fetchJAXTerm,
+        parents: async (baseUrl, hpId) => toRelationRecords(await fetchJSON(API_CONFIG.JAX_PARENTS(baseUrl, hpId))),
+        children: async (baseUrl, hpId) => toRelationRecords(await fetchJSON(API_CONFIG.JAX_CHILDREN(baseUrl, hpId))),
+        descendants: async (baseUrl, hpId) => toRelationRecords(await fetchJSON(API_CONFIG.JAX_DESCENDANTS(baseUrl, hpId)))
+            .map(term => term.id).filter(Boolean),
+        annotations: fetchJAXAnnotationRecords,
+        // The JAX API does not report which HPO release it serves
+        releaseVersion: async () => null
+    },
+    {
+        id: 'ols4',
+        label: 'EBI Ontology Lookup Service (OLS4)',
+        description: 'Search, terms and hierarchy from an OLS4 REST API, such as the public EBI instance ' +
+            'or one run by your institute. OLS has no gene/disease annotations; those still come from the public JAX API.',
+        defaultBaseUrl: API_CONFIG.OLS_BASE_URL,
+        search: searchOLS,
+        term: fetchOLSTerm,
+        parents: (baseUrl, hpId) => fetchOLSRelatedTerms(baseUrl, hpId, 'parents'),
+        children: (baseUrl, hpId) => fetchOLSRelatedTerms(baseUrl, hpId, 'children'),
+        descendants: async (baseUrl, hpId) => (await fetchOLSRelatedTerms(baseUrl, hpId, 'descendants')).map(term => term.id),
+        annotations: (baseUrl, hpId) => fetchJAXAnnotationRecords(API_CONFIG.JAX_BASE_URL, hpId),
+        releaseVersion: fetchOLSReleaseVersion
+    }
+];
+
 /**
  * UI state templates for consistent user experience
  */
@@ -151,7 +447,7 @@ const UI_STATES = {
 
 /**
  * Frequently used HPO terms for quick access
- * These are common terms that users might search for regularly
+ * Seeds the favorites panel until the user pins their own terms or imports a preset
  */
 const FREQUENT_TERMS = [
     { id: "HP:0001263", name: "Global developmental delay" },
@@ -170,6 +466,641 @@ const FREQUENT_TERMS = [
     { id: "HP:0002098", name: "Respiratory distress"}
 ];
 
+/**
+ * Offline mode configuration
+ * Bundled release files are tried in order when loading without a file picker
+ */
+const OFFLINE_CONFIG = {
+    BUNDLED_PATHS: ['data/hp.json', 'data/hp.obo'],
+    MAX_SEARCH_RESULTS: 500
+};
+
+/**
+ * Clinical modifiers that can be attached to a selected term, with the HPO terms offered for each.
+ * Each list holds every subclass of the modifier's root (Onset HP:0003674, Severity HP:0012824,
+ * Frequency HP:0040279, Laterality HP:0012831), parents before their children.
+ * Frequency leaves out "Excluded (0%)" (HP:0040285): exclusion is the term's observed/excluded status.
+ */
+const TERM_MODIFIERS = {
+    onset: {
+        label: 'Onset',
+        options: [
+            { id: 'HP:0030674', name: 'Antenatal onset' },
+            { id: 'HP:0011460', name: 'Embryonal onset' },
+            { id: 'HP:0011461', name: 'Fetal onset' },
+            { id: 'HP:0034199', name: 'Late first trimester onset' },
+            { id: 'HP:0034198', name: 'Second trimester onset' },
+            { id: 'HP:0034197', name: 'Third trimester onset' },
+            { id: 'HP:0003577', name: 'Congenital onset' },
+            { id: 'HP:0003623', name: 'Neonatal onset' },
+            { id: 'HP:0410280', name: 'Pediatric onset' },
+            { id: 'HP:0003593', name: 'Infantile onset' },
+            { id: 'HP:0011463', name: 'Childhood onset' },
+            { id: 'HP:0003621', name: 'Juvenile onset' },
+            { id: 'HP:0003581', name: 'Adult onset' },
+            { id: 'HP:0011462', name: 'Young adult onset' },
+            { id: 'HP:0025708', name: 'Early young adult onset' },
+            { id: 'HP:0025709', name: 'Intermediate young adult onset' },
+            { id: 'HP:0025710', name: 'Late young adult onset' },
+            { id: 'HP:0003596', name: 'Middle age onset' },
+            { id: 'HP:0003584', name: 'Late onset' }
+        ]
+    },
+    severity: {
+        label: 'Severity',
+        options: [
+            { id: 'HP:0012827', name: 'Borderline' },
+            { id: 'HP:0012825', name: 'Mild' },
+            { id: 'HP:0012826', name: 'Moderate' },
+            { id: 'HP:0012828', name: 'Severe' },
+            { id: 'HP:0012829', name: 'Profound' }
+        ]
+    },
+    frequency: {
+        label: 'Frequency',
+        options: [
+            { id: 'HP:0040280', name: 'Obligate' },
+            { id: 'HP:0040281', name: 'Very frequent' },
+            { id: 'HP:0040282', name: 'Frequent' },
+            { id: 'HP:0040283', name: 'Occasional' },
+            { id: 'HP:0040284', name: 'Very rare' }
+        ]
+    },
+    laterality: {
+        label: 'Laterality',
+        options: [
+            { id: 'HP:0012832', name: 'Bilateral' },
+            { id: 'HP:0012833', name: 'Unilateral' },
+            { id: 'HP:0012834', name: 'Right' },
+            { id: 'HP:0012835', name: 'Left' }
+        ]
+    }
+};
+
+/**
+ * Export formats offered in the export dialog.
+ * build(context) returns the file contents for { terms, sampleId, definitions, options } and throws
+ * an Error whose message is shown to the user when the selection cannot be exported.
+ * options lists keys of EXPORT_OPTIONS shown as form fields for the format.
+ * needsDefinitions and needsReleaseVersion load term definitions and the HPO release into the context.
+ * warnings(context) optionally returns messages shown above the preview for a file that is exported anyway.
+ * clearsSelection offers to clear the selection once the file is downloaded.
+ */
+const EXPORTERS = [
+    {
+        id: 'hpo',
+        label: 'HPO list (.hpo / .txt)',
+        description: 'Tab-separated name and ID, re-importable. Excluded terms start with "!". ' +
+            'You can clear the selection after download.',
+        mimeType: 'text/plain',
+        fileName: (sampleId) => sampleId ? `${sampleId}.hpo` : 'HPO_terms.txt',
+        clearsSelection: true,
+        options: ['labelLanguage'],
+        build: buildHPOList
+    },
+    {
+        id: 'tsv',
+        label: 'Table (TSV)',
+        description: 'ID, name, definition, status and modifiers, one term per row.',
+        mimeType: 'text/tab-separated-values',
+        fileName: (sampleId) => `${sampleId || 'HPO_terms'}.tsv`,
+        needsDefinitions: true,
+        options: ['labelLanguage'],
+        build: (context) => buildDelimitedTable(context, '\t')
+    },
+    {
+        id: 'csv',
+        label: 'Table (CSV)',
+        description: 'ID, name, definition, status and modifiers, one term per row.',
+        mimeType: 'text/csv',
+        fileName: (sampleId) => `${sampleId || 'HPO_terms'}.csv`,
+        needsDefinitions: true,
+        options: ['labelLanguage'],
+        build: (context) => buildDelimitedTable(context, ',')
+    },
+    {
+        id: 'json',
+        label: 'JSON',
+        description: 'Structured terms with definitions, status and modifiers.',
+        mimeType: 'application/json',
+        fileName: (sampleId) => `${sampleId || 'HPO_terms'}.json`,
+        needsDefinitions: true,
+        options: ['labelLanguage'],
+        build: buildJSONExport
+    },
+    {
+        id: 'markdown',
+        label: 'Clinical summary (Markdown)',
+        description: 'Readable summary of observed and excluded features for pasting into reports.',
+        mimeType: 'text/markdown',
+        fileName: (sampleId) => `${sampleId || 'HPO_terms'}_summary.md`,
+        options: ['labelLanguage'],
+        build: buildClinicalSummary
+    },
+    {
+        id: 'ids',
+        label: 'ID list (Exomiser, LIRICAL, Phen2Gene)',
+        description: 'Comma-separated IDs of the observed terms only.',
+        mimeType: 'text/plain',
+        fileName: (sampleId) => `${sampleId || 'HPO'}_ids.txt`,
+        build: buildIdList
+    },
+    {
+        id: 'phenopacket',
+        label: 'GA4GH Phenopacket v2',
+        description: 'Validated Phenopacket JSON; requires a sample name as the subject ID.',
+        mimeType: 'application/json',
+        fileName: (sampleId) => `${sampleId}.phenopacket.json`,
+        needsReleaseVersion: true,
+        warnings: ({ releaseVersion }) => releaseVersion ? [] :
+            ['The data source does not report its HPO release, so the HPO resource has no version. ' +
+                'Load a release file or use OLS to record it.'],
+        options: ['labelLanguage'],
+        build: buildPhenopacketExport
+    },
+    {
+        id: 'exomiser',
+        label: 'Exomiser analysis (YAML)',
+        description: 'Ready-to-run Exomiser analysis with the observed terms and the sample name as proband.',
+        mimeType: 'text/yaml',
+        fileName: (sampleId) => `${sampleId || 'sample'}-exomiser-analysis.yml`,
+        options: ['vcfPath', 'genomeAssembly', 'inheritance'],
+        build: buildExomiserAnalysis
+    },
+    {
+        id: 'lirical',
+        label: 'LIRICAL configuration (YAML)',
+        description: 'LIRICAL configuration with observed and negated terms; leave the VCF empty for a phenotype-only run.',
+        mimeType: 'text/yaml',
+        fileName: (sampleId) => `${sampleId || 'sample'}-lirical.yml`,
+        options: ['vcfPath', 'genomeAssembly', 'exomiserDataPath'],
+        build: buildLiricalConfig
+    }
+];
+
+/**
+ * Form fields for exporters with options. Values are shared between formats (the same
+ * VCF path serves Exomiser and LIRICAL) and remembered between sessions.
+ */
+const EXPORT_OPTIONS = {
+    vcfPath: {
+        label: 'VCF path',
+        type: 'text',
+        placeholder: '/data/sample.vcf.gz',
+        default: ''
+    },
+    genomeAssembly: {
+        label: 'Genome assembly',
+        type: 'select',
+        choices: [
+            { value: 'hg38', label: 'GRCh38 (hg38)' },
+            { value: 'hg19', label: 'GRCh37 (hg19)' }
+        ],
+        default: 'hg38'
+    },
+    inheritance: {
+        label: 'Mode of inheritance',
+        type: 'select',
+        choices: [
+            { value: 'ANY', label: 'Any (all modes)' },
+            { value: 'AD', label: 'Autosomal dominant' },
+            { value: 'AR', label: 'Autosomal recessive' },
+            { value: 'XL', label: 'X-linked' },
+            { value: 'MT', label: 'Mitochondrial' }
+        ],
+        default: 'ANY'
+    },
+    exomiserDataPath: {
+        label: 'Exomiser data directory',
+        type: 'text',
+        placeholder: '/data/exomiser/2402_hg38',
+        default: ''
+    },
+    labelLanguage: {
+        label: 'Label language',
+        type: 'select',
+        // The translated option is only offered while a translation is loaded
+        choices: () => [
+            { value: 'en', label: 'English' },
+            ...(AppState.translation ? [{ value: 'translation', label: getLanguageLabel(AppState.translation.language) }] : [])
+        ],
+        default: 'en'
+    }
+};
+
+/**
+ * Exomiser analysis template settings, following the example analysis shipped with Exomiser.
+ * Each inheritance preset maps Exomiser inheritance modes to their maximum allele frequency (%).
+ */
+const EXOMISER_CONFIG = {
+    INHERITANCE_PRESETS: {
+        ANY: {
+            AUTOSOMAL_DOMINANT: 0.1,
+            AUTOSOMAL_RECESSIVE_HOM_ALT: 0.1,
+            AUTOSOMAL_RECESSIVE_COMP_HET: 2.0,
+            X_DOMINANT: 0.1,
+            X_RECESSIVE_HOM_ALT: 0.1,
+            X_RECESSIVE_COMP_HET: 2.0,
+            MITOCHONDRIAL: 0.2
+        },
+        AD: { AUTOSOMAL_DOMINANT: 0.1 },
+        AR: { AUTOSOMAL_RECESSIVE_HOM_ALT: 0.1, AUTOSOMAL_RECESSIVE_COMP_HET: 2.0 },
+        XL: { X_DOMINANT: 0.1, X_RECESSIVE_HOM_ALT: 0.1, X_RECESSIVE_COMP_HET: 2.0 },
+        MT: { MITOCHONDRIAL: 0.2 }
+    },
+    FREQUENCY_SOURCES: [
+        'THOUSAND_GENOMES', 'TOPMED', 'UK10K',
+        'GNOMAD_E_AFR', 'GNOMAD_E_AMR', 'GNOMAD_E_EAS', 'GNOMAD_E_FIN', 'GNOMAD_E_NFE', 'GNOMAD_E_SAS',
+        'GNOMAD_G_AFR', 'GNOMAD_G_AMR', 'GNOMAD_G_EAS', 'GNOMAD_G_FIN', 'GNOMAD_G_NFE', 'GNOMAD_G_SAS'
+    ],
+    PATHOGENICITY_SOURCES: ['REVEL', 'MVP'],
+    REMOVED_VARIANT_EFFECTS: [
+        'FIVE_PRIME_UTR_EXON_VARIANT', 'FIVE_PRIME_UTR_INTRON_VARIANT',
+        'THREE_PRIME_UTR_EXON_VARIANT', 'THREE_PRIME_UTR_INTRON_VARIANT',
+        'NON_CODING_TRANSCRIPT_EXON_VARIANT', 'NON_CODING_TRANSCRIPT_INTRON_VARIANT',
+        'CODING_TRANSCRIPT_INTRON_VARIANT', 'UPSTREAM_GENE_VARIANT', 'DOWNSTREAM_GENE_VARIANT',
+        'INTERGENIC_VARIANT', 'REGULATORY_REGION_VARIANT'
+    ],
+    OUTPUT_FORMATS: ['HTML', 'JSON', 'TSV_GENE', 'TSV_VARIANT']
+};
+
+/**
+ * GA4GH Phenopacket (v2) export configuration
+ */
+const PHENOPACKET_CONFIG = {
+    SCHEMA_VERSION: '2.0',
+    CREATED_BY: 'HPO Portal',
+    RESOURCE: {
+        id: 'hp',
+        name: 'human phenotype ontology',
+        url: 'http://purl.obolibrary.org/obo/hp.owl',
+        namespacePrefix: 'HP',
+        iriPrefix: 'http://purl.obolibrary.org/obo/HP_'
+    }
+};
+
+/**
+ * Selection file import configuration
+ * Imported IDs are looked up a batch at a time to stay friendly to the API
+ */
+const IMPORT_CONFIG = {
+    LOOKUP_BATCH_SIZE: 10
+};
+
+/**
+ * Well-known HPO terms used as roots of the hierarchy
+ */
+const ONTOLOGY_ROOTS = {
+    ALL: 'HP:0000001',
+    PHENOTYPIC_ABNORMALITY: 'HP:0000118'
+};
+
+/**
+ * Browser storage configuration for saved cases
+ */
+const STORAGE_CONFIG = {
+    CASES_KEY: 'hpoPortal.cases',
+    EXPORT_FORMAT_KEY: 'hpoPortal.exportFormat',
+    EXPORT_OPTIONS_KEY: 'hpoPortal.exportOptions',
+    FAVORITES_KEY: 'hpoPortal.favorites',
+    PROVIDER_KEY: 'hpoPortal.dataProvider',
+    LANGUAGE_KEY: 'hpoPortal.language',
+    USAGE_KEY: 'hpoPortal.termUsage'
+};
+
+/**
+ * Favorites configuration. FREQUENT_TERMS seeds the first group on first use.
+ */
+const FAVORITES_CONFIG = {
+    DEFAULT_GROUP: 'Pinned',
+    SEED_GROUP: 'Frequently used',
+    MOST_USED_LIMIT: 20,
+    FILE_FORMAT: 'hpo-portal-favorites',
+    FILE_VERSION: 1
+};
+
+/**
+ * URL hash routes: #/term/HP:0001250, #/search/<query> and #/selection?terms=...&sample=...
+ */
+const ROUTES = {
+    TERM: 'term',
+    SEARCH: 'search',
+    SELECTION: 'selection'
+};
+
+/**
+ * API response cache configuration
+ * The TTL can be changed from the cache control and is remembered in localStorage
+ */
+const CACHE_CONFIG = {
+    DB_NAME: 'hpoPortal',
+    DB_VERSION: 1,
+    STORE_NAME: 'responses',
+    TTL_KEY: 'hpoPortal.cacheTTL',
+    DEFAULT_TTL_HOURS: 24,
+    // Responses kept in memory; the least recently used are dropped first (IndexedDB keeps them)
+    MAX_MEMORY_ENTRIES: 500
+};
+
+/**
+ * Ontology tree browser configuration
+ */
+const TREE_CONFIG = {
+    MAX_PATHS: 10
+};
+
+/**
+ * Clinical note concept recognition configuration
+ * Without an offline release the lexicon is built by searching the API for the note's words
+ */
+const NOTE_CONFIG = {
+    MAX_LOOKUPS: 40,
+    LOOKUP_BATCH_SIZE: 5,
+    MIN_WORD_LENGTH: 4,
+    NEGATION_WINDOW: 6,
+    NEGATION_CUES: [
+        'no', 'not', 'denies', 'denied', 'deny', 'without', 'negative for', 'absence of',
+        'free of', 'ruled out', 'rules out', 'never', 'no evidence of', 'no history of', 'no signs of'
+    ],
+    NEGATION_TERMINATORS: ['but', 'however', 'although', 'except', 'aside from'],
+    STOPWORDS: [
+        'with', 'that', 'this', 'from', 'have', 'were', 'been', 'also', 'there', 'their', 'which',
+        'about', 'after', 'before', 'since', 'into', 'over', 'under', 'very', 'some', 'more',
+        'patient', 'history', 'denies', 'without', 'years', 'months', 'noted', 'shows', 'presents'
+    ]
+};
+
+/**
+ * Gene and disease annotation display configuration
+ * Records are { id, name } with CURIE IDs such as "NCBIGene:2260" or "OMIM:101600";
+ * LINKS maps an ID prefix to the page of its local ID
+ */
+const ANNOTATION_CONFIG = {
+    LINKS: {
+        NCBIGene: (localId) => `https://www.ncbi.nlm.nih.gov/gene/${localId}`,
+        OMIM: (localId) => `https://omim.org/entry/${localId}`,
+        ORPHA: (localId) => `https://www.orpha.net/en/disease/detail/${localId}`,
+        DECIPHER: (localId) => `https://www.deciphergenomics.org/syndrome/${localId}`
+    },
+    HGNC_SEARCH: (symbol) => `https://www.genenames.org/tools/search/#!/?query=${encodeURIComponent(symbol)}`,
+    SOURCE_LABELS: {
+        NCBIGene: 'NCBI Gene',
+        OMIM: 'OMIM',
+        ORPHA: 'Orphanet',
+        DECIPHER: 'DECIPHER'
+    },
+    SORTS: [
+        { value: 'name', label: 'Name A-Z' },
+        { value: 'name-desc', label: 'Name Z-A' },
+        { value: 'id', label: 'By ID' }
+    ],
+    COPY_FORMATS: {
+        genes: [
+            { value: 'joined', label: 'Symbols joined by ||', format: genes => genes.map(g => g.name).join('||') },
+            { value: 'symbols', label: 'Symbols, one per line', format: genes => genes.map(g => g.name).join('\n') },
+            { value: 'ids', label: 'NCBI Gene IDs, one per line', format: genes => genes.map(g => g.id).join('\n') },
+            { value: 'tsv', label: 'Symbol and ID (TSV)', format: genes => genes.map(g => `${g.name}\t${g.id}`).join('\n') }
+        ],
+        diseases: [
+            { value: 'lines', label: 'Name (ID), one per line', format: diseases => diseases.map(d => `${d.name} (${d.id})`).join('\n') },
+            { value: 'ids', label: 'IDs, one per line', format: diseases => diseases.map(d => d.id).join('\n') },
+            { value: 'names', label: 'Names joined by ||', format: diseases => diseases.map(d => d.name).join('||') },
+            { value: 'tsv', label: 'Name and ID (TSV)', format: diseases => diseases.map(d => `${d.name}\t${d.id}`).join('\n') }
+        ]
+    }
+};
+
+/**
+ * Live search paging. Providers return at most PAGE_SIZE matches per request; a branch-scoped
+ * search keeps requesting pages, up to MAX_SCOPED_RESULTS matches (the NIH API's own limit),
+ * so the filter sees more than the first page.
+ */
+const SEARCH_CONFIG = {
+    PAGE_SIZE: 500,
+    MAX_SCOPED_RESULTS: 7500
+};
+
+/**
+ * Paged rendering of long lists: only the first page is built up front,
+ * further pages are appended on "Show more" or when the list is scrolled to its end
+ */
+const LIST_CONFIG = {
+    SEARCH_PAGE_SIZE: 50,
+    ANNOTATION_PAGE_SIZE: 100
+};
+
+/**
+ * HPO translation settings. Official translations are published as Babelon TSV tables, one row per
+ * translated label, definition or synonym; FILE_URL points at the table of a language.
+ */
+const TRANSLATION_CONFIG = {
+    LANGUAGES: [
+        { code: 'en', label: 'English' },
+        { code: 'es', label: 'Español' },
+        { code: 'fr', label: 'Français' },
+        { code: 'ar', label: 'العربية', dir: 'rtl' },
+        { code: 'de', label: 'Deutsch' },
+        { code: 'it', label: 'Italiano' },
+        { code: 'pt', label: 'Português' },
+        { code: 'nl', label: 'Nederlands' },
+        { code: 'cs', label: 'Čeština' },
+        { code: 'tr', label: 'Türkçe' },
+        { code: 'ja', label: '日本語' },
+        { code: 'zh', label: '中文' }
+    ],
+    FILE_URL: (code) => `https://raw.githubusercontent.com/obophenotype/hpo-translations/main/babelon/hp-${code}.babelon.tsv`,
+    LABEL_PREDICATE: 'rdfs:label',
+    DEFINITION_PREDICATE: 'IAO:0000115',
+    SYNONYM_PREDICATE_PATTERN: /Synonym$/
+};
+
+/**
+ * Static interface strings, keyed by the data-i18n / data-i18n-placeholder attributes in index.html.
+ * Languages without an entry, and keys missing from one, fall back to English.
+ */
+const UI_STRINGS = {
+    en: {
+        appTagline: 'Search tool for the Human Phenotype Ontology (HPO) database.',
+        keyboardShortcuts: 'Keyboard Shortcuts',
+        howToUse: 'How to Use This Tool',
+        favorites: 'Favorites',
+        pinned: 'Pinned',
+        mostUsed: 'Most Used',
+        newGroup: 'New Group',
+        import: 'Import',
+        export: 'Export',
+        useBundledRelease: 'Use Bundled Release',
+        backToLiveApis: 'Back to Live APIs',
+        dataSource: 'Data Source',
+        language: 'Language',
+        loadTranslation: 'Load Translation',
+        termDetails: 'HPO Term Details',
+        definition: 'Definition',
+        synonyms: 'Synonyms',
+        searchWithin: 'Search Within',
+        addToSelection: 'Add to Selection',
+        samplePlaceholder: 'Sample Name (Optional) ...',
+        searchPlaceholder: 'Search Phenotypes (Infertility, Kidney, Cardio, ...)',
+        within: 'Within',
+        allOfHpo: 'All of HPO',
+        pasteClinicalNote: 'Paste Clinical Note',
+        searchResults: 'Search Results',
+        selectedTerms: 'Selected HPO Terms',
+        keepMostSpecific: 'Keep Most Specific',
+        clearAll: 'Clear All',
+        importSelection: 'Import .hpo/.txt',
+        shareSelection: 'Share Selection',
+        rankGenes: 'Rank Genes',
+        differentialDiagnosis: 'Differential Diagnosis',
+        compareProfiles: 'Compare Profiles',
+        exportSelection: 'Export…'
+    },
+    es: {
+        appTagline: 'Herramienta de búsqueda para la Ontología de Fenotipos Humanos (HPO).',
+        keyboardShortcuts: 'Atajos de teclado',
+        howToUse: 'Cómo usar esta herramienta',
+        favorites: 'Favoritos',
+        pinned: 'Fijados',
+        mostUsed: 'Más usados',
+        newGroup: 'Nuevo grupo',
+        import: 'Importar',
+        export: 'Exportar',
+        useBundledRelease: 'Usar versión incluida',
+        backToLiveApis: 'Volver a las API en línea',
+        dataSource: 'Fuente de datos',
+        language: 'Idioma',
+        loadTranslation: 'Cargar traducción',
+        termDetails: 'Detalles del término HPO',
+        definition: 'Definición',
+        synonyms: 'Sinónimos',
+        searchWithin: 'Buscar en esta rama',
+        addToSelection: 'Añadir a la selección',
+        samplePlaceholder: 'Nombre de la muestra (opcional) ...',
+        searchPlaceholder: 'Buscar fenotipos (infertilidad, riñón, cardio, ...)',
+        within: 'Dentro de',
+        allOfHpo: 'Toda la HPO',
+        pasteClinicalNote: 'Pegar nota clínica',
+        searchResults: 'Resultados de búsqueda',
+        selectedTerms: 'Términos HPO seleccionados',
+        keepMostSpecific: 'Conservar los más específicos',
+        clearAll: 'Borrar todo',
+        importSelection: 'Importar .hpo/.txt',
+        shareSelection: 'Compartir selección',
+        rankGenes: 'Clasificar genes',
+        differentialDiagnosis: 'Diagnóstico diferencial',
+        compareProfiles: 'Comparar perfiles',
+        exportSelection: 'Exportar…'
+    },
+    fr: {
+        appTagline: 'Outil de recherche pour l’ontologie des phénotypes humains (HPO).',
+        keyboardShortcuts: 'Raccourcis clavier',
+        howToUse: 'Comment utiliser cet outil',
+        favorites: 'Favoris',
+        pinned: 'Épinglés',
+        mostUsed: 'Les plus utilisés',
+        newGroup: 'Nouveau groupe',
+        import: 'Importer',
+        export: 'Exporter',
+        useBundledRelease: 'Utiliser la version fournie',
+        backToLiveApis: 'Revenir aux API en ligne',
+        dataSource: 'Source de données',
+        language: 'Langue',
+        loadTranslation: 'Charger une traduction',
+        termDetails: 'Détails du terme HPO',
+        definition: 'Définition',
+        synonyms: 'Synonymes',
+        searchWithin: 'Rechercher dans cette branche',
+        addToSelection: 'Ajouter à la sélection',
+        samplePlaceholder: 'Nom de l’échantillon (facultatif) ...',
+        searchPlaceholder: 'Rechercher des phénotypes (infertilité, rein, cardio, ...)',
+        within: 'Dans',
+        allOfHpo: 'Toute la HPO',
+        pasteClinicalNote: 'Coller une note clinique',
+        searchResults: 'Résultats de recherche',
+        selectedTerms: 'Termes HPO sélectionnés',
+        keepMostSpecific: 'Garder les plus spécifiques',
+        clearAll: 'Tout effacer',
+        importSelection: 'Importer .hpo/.txt',
+        shareSelection: 'Partager la sélection',
+        rankGenes: 'Classer les gènes',
+        differentialDiagnosis: 'Diagnostic différentiel',
+        compareProfiles: 'Comparer les profils',
+        exportSelection: 'Exporter…'
+    },
+    ar: {
+        appTagline: 'أداة بحث في أنطولوجيا الأنماط الظاهرية البشرية (HPO).',
+        keyboardShortcuts: 'اختصارات لوحة المفاتيح',
+        howToUse: 'طريقة استخدام هذه الأداة',
+        favorites: 'المفضلة',
+        pinned: 'المثبتة',
+        mostUsed: 'الأكثر استخدامًا',
+        newGroup: 'مجموعة جديدة',
+        import: 'استيراد',
+        export: 'تصدير',
+        useBundledRelease: 'استخدام الإصدار المرفق',
+        backToLiveApis: 'العودة إلى الواجهات المباشرة',
+        dataSource: 'مصدر البيانات',
+        language: 'اللغة',
+        loadTranslation: 'تحميل ترجمة',
+        termDetails: 'تفاصيل مصطلح HPO',
+        definition: 'التعريف',
+        synonyms: 'المرادفات',
+        searchWithin: 'البحث ضمن هذا الفرع',
+        addToSelection: 'إضافة إلى التحديد',
+        samplePlaceholder: 'اسم العينة (اختياري) ...',
+        searchPlaceholder: 'ابحث عن الأنماط الظاهرية (العقم، الكلى، القلب، ...)',
+        within: 'ضمن',
+        allOfHpo: 'كل HPO',
+        pasteClinicalNote: 'لصق ملاحظة سريرية',
+        searchResults: 'نتائج البحث',
+        selectedTerms: 'مصطلحات HPO المحددة',
+        keepMostSpecific: 'الإبقاء على الأكثر تحديدًا',
+        clearAll: 'مسح الكل',
+        importSelection: 'استيراد .hpo/.txt',
+        shareSelection: 'مشاركة التحديد',
+        rankGenes: 'ترتيب الجينات',
+        differentialDiagnosis: 'التشخيص التفريقي',
+        compareProfiles: 'مقارنة الملفات',
+        exportSelection: 'تصدير…'
+    }
+};
+
+/**
+ * Differential diagnosis configuration
+ */
+const DIFFERENTIAL_CONFIG = {
+    MAX_RESULTS: 25
+};
+
+/**
+ * Global keyboard shortcuts, active when no dialog is open and focus is not in a text field
+ */
+const KEYBOARD_SHORTCUTS = [
+    { key: '/', description: 'Focus the search box', action: () => DOM.search.input.focus() },
+    { key: 'e', description: 'Export the selection', action: () => openExportDialog() },
+    { key: 'c', description: 'Clear all selected terms', action: () => confirmClearAllSelections() },
+    { key: '?', description: 'Show this list of shortcuts', action: () => openDialog(DOM.help.container) }
+];
+
+/**
+ * Keys handled inside lists and dialogs, listed in the shortcuts dialog
+ */
+const CONTEXT_KEYS = [
+    { key: '↓ / ↑', description: 'Move through search results or selected terms' },
+    { key: 'Home / End', description: 'Jump to the first or last item of a list' },
+    { key: 'Enter', description: 'Add the focused search result to the selection' },
+    { key: 'i', description: 'Show details of the focused search result' },
+    { key: 'f', description: 'Pin or unpin the focused search result as a favorite' },
+    { key: 'x', description: 'Toggle the focused selected term between observed and excluded' },
+    { key: 'Delete', description: 'Remove the focused selected term' },
+    { key: 'Alt + ← / →', description: 'Go back or forward through the terms viewed in the details dialog' },
+    { key: 'Esc', description: 'Close the open dialog' }
+];
+
+// Elements that can receive keyboard focus inside a dialog
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
 // Configuration constants
 const DEBOUNCE_DELAY = 500; // milliseconds
 
@@ -184,17 +1115,119 @@ const DEBOUNCE_DELAY = 500; // milliseconds
 function initializeEventListeners() {
     // Search functionality
     DOM.search.input.addEventListener('input', handleSearchInput);
+    DOM.search.scopeSelect.addEventListener('change', handleSearchScopeChange);
     
     // Selection management
-    DOM.selection.exportBtn.addEventListener('click', exportSelectedTerms);
-    DOM.selection.clearBtn.addEventListener('click', clearAllSelections);
+    DOM.selection.exportBtn.addEventListener('click', openExportDialog);
+    DOM.selection.clearBtn.addEventListener('click', confirmClearAllSelections);
+    DOM.selection.shareBtn.addEventListener('click', shareSelection);
+    DOM.selection.keepSpecificBtn.addEventListener('click', keepMostSpecificTerms);
+    
+    // Selection import (file picker and drag-and-drop)
+    DOM.selection.importInput.addEventListener('change', handleImportFileSelect);
+    DOM.selection.dropZone.addEventListener('dragover', handleImportDragOver);
+    DOM.selection.dropZone.addEventListener('dragleave', handleImportDragLeave);
+    DOM.selection.dropZone.addEventListener('drop', handleImportDrop);
     
     // Modal functionality
     DOM.modal.closeBtn.addEventListener('click', closeModal);
     DOM.modal.addBtn.addEventListener('click', addCurrentTermFromModal);
+    DOM.modal.scopeBtn.addEventListener('click', () => {
+        if (!AppState.currentTerm) return;
+        setSearchScope(AppState.currentTerm);
+        closeModal();
+        DOM.search.input.focus();
+    });
+    DOM.modal.favoriteBtn.addEventListener('click', () => {
+        if (AppState.currentTerm) toggleFavorite(AppState.currentTerm);
+    });
+    DOM.modal.backBtn.addEventListener('click', () => navigateModalHistory(AppState.modalHistory.index - 1));
+    DOM.modal.forwardBtn.addEventListener('click', () => navigateModalHistory(AppState.modalHistory.index + 1));
+    DOM.modal.treeModeButtons.forEach(button => {
+        button.addEventListener('click', () => setOntologyTreeMode(button.dataset.mode));
+    });
+    
+    // Patient/sample case management
+    DOM.cases.select.addEventListener('change', () => switchCase(DOM.cases.select.value));
+    DOM.cases.sampleInput.addEventListener('input', persistWorkingState);
+    DOM.cases.newBtn.addEventListener('click', createCase);
+    DOM.cases.renameBtn.addEventListener('click', renameActiveCase);
+    DOM.cases.duplicateBtn.addEventListener('click', duplicateActiveCase);
+    DOM.cases.deleteBtn.addEventListener('click', deleteActiveCase);
+    
+    // Clinical note annotation
+    DOM.note.openBtn.addEventListener('click', () => openDialog(DOM.note.container));
+    DOM.note.closeBtn.addEventListener('click', () => closeDialog(DOM.note.container));
+    DOM.note.annotateBtn.addEventListener('click', annotateClinicalNote);
+    DOM.note.editBtn.addEventListener('click', showNoteEditor);
+    DOM.note.acceptAllBtn.addEventListener('click', acceptAllNoteCandidates);
+    
+    // Gene prioritization panel
+    DOM.genePanel.openBtn.addEventListener('click', openGenePanel);
+    DOM.genePanel.closeBtn.addEventListener('click', () => closeDialog(DOM.genePanel.container));
+    DOM.genePanel.exportBtn.addEventListener('click', exportGenePanel);
+    DOM.genePanel.table.querySelectorAll('th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortGeneRanking(header.dataset.sort));
+    });
+    
+    // Differential diagnosis panel
+    DOM.differential.openBtn.addEventListener('click', openDifferentialPanel);
+    DOM.differential.closeBtn.addEventListener('click', () => closeDialog(DOM.differential.container));
+    
+    // Profile comparison dialog
+    DOM.compare.openBtn.addEventListener('click', openComparePanel);
+    DOM.compare.closeBtn.addEventListener('click', () => closeDialog(DOM.compare.container));
+    DOM.compare.caseSelect.addEventListener('change', handleCompareCaseChange);
+    DOM.compare.fileInput.addEventListener('change', handleCompareFileSelect);
+    DOM.compare.runBtn.addEventListener('click', compareProfiles);
+    
+    // Export dialog
+    DOM.export.closeBtn.addEventListener('click', () => closeDialog(DOM.export.container));
+    DOM.export.formatSelect.addEventListener('change', () => {
+        renderExportOptions();
+        updateExportPreview();
+    });
+    DOM.export.copyBtn.addEventListener('click', copyExportContent);
+    DOM.export.downloadBtn.addEventListener('click', downloadExportContent);
+    
+    // Favorites panel
+    DOM.favorites.viewButtons.forEach(button => {
+        button.addEventListener('click', () => setFavoritesView(button.dataset.view));
+    });
+    DOM.favorites.newGroupBtn.addEventListener('click', createFavoriteGroup);
+    DOM.favorites.importInput.addEventListener('change', handleFavoritesImportSelect);
+    DOM.favorites.exportBtn.addEventListener('click', exportFavorites);
+    
+    // Offline ontology source
+    DOM.ontology.fileInput.addEventListener('change', handleOntologyFileSelect);
+    DOM.ontology.bundledBtn.addEventListener('click', loadBundledOntology);
+    DOM.ontology.unloadBtn.addEventListener('click', unloadOntology);
+    DOM.ontology.providerBtn.addEventListener('click', openProviderSettings);
+    DOM.ontology.languageSelect.addEventListener('change', handleLanguageChange);
+    DOM.ontology.translationInput.addEventListener('change', handleTranslationFileSelect);
+    
+    // Data source settings
+    DOM.provider.closeBtn.addEventListener('click', () => closeDialog(DOM.provider.container));
+    DOM.provider.select.addEventListener('change', renderProviderFields);
+    DOM.provider.testBtn.addEventListener('click', testProviderConnection);
+    DOM.provider.saveBtn.addEventListener('click', saveProviderSettings);
+    
+    // API response cache
+    DOM.ontology.cacheTTL.addEventListener('change', handleCacheTTLChange);
+    DOM.ontology.clearCacheBtn.addEventListener('click', clearResponseCache);
+    
+    // Keyboard navigation and shortcuts
+    DOM.search.input.addEventListener('keydown', handleSearchInputKeydown);
+    DOM.search.list.addEventListener('keydown', handleResultsKeydown);
+    DOM.search.list.addEventListener('click', handleResultsClick);
+    DOM.selection.list.addEventListener('keydown', handleSelectionKeydown);
+    DOM.help.openBtn.addEventListener('click', () => openDialog(DOM.help.container));
+    DOM.help.closeBtn.addEventListener('click', () => closeDialog(DOM.help.container));
     
     // Global event listeners
     window.addEventListener('click', handleWindowClick);
+    window.addEventListener('hashchange', handleRouteChange);
+    document.addEventListener('keydown', handleGlobalKeydown);
 }
 
 /**
@@ -204,17 +1237,22 @@ function initializeEventListeners() {
 function handleSearchInput(event) {
     const query = event.target.value.trim();
     
+    clearTimeout(AppState.searchTimeout);
+    updateRoute(getSearchRoute());
+    
     if (!query) {
+        // Discard any search still in flight so it cannot replace the empty state
+        AppState.latestSearchId++;
         showEmptySearchState();
         return;
     }
     
     showLoadingState();
-    clearTimeout(AppState.searchTimeout);
     
+    // A typed ID is looked up straight away; free text waits for the user to pause
     AppState.searchTimeout = setTimeout(() => {
         performHPOSearch(query);
-    }, DEBOUNCE_DELAY);
+    }, parseTermIdQuery(query) ? 0 : DEBOUNCE_DELAY);
 }
 
 /**
@@ -224,104 +1262,659 @@ function handleSearchInput(event) {
 function handleWindowClick(event) {
     if (event.target === DOM.modal.container) {
         closeModal();
+    } else if (event.target.classList.contains('modal')) {
+        closeDialog(event.target);
     }
 }
 
 // =============================================================================
-// SEARCH FUNCTIONALITY
+// KEYBOARD NAVIGATION
 // =============================================================================
 
 /**
- * Perform HPO search using NIH Clinical Tables API
- * @param {string} query - Search term from user input
+ * Handle keys that apply anywhere: focus trapping and Escape for the open dialog,
+ * otherwise the global shortcuts
+ * @param {KeyboardEvent} event - Keydown event
  */
-async function performHPOSearch(query) {
-    try {
-        const response = await fetch(API_CONFIG.HPO_SEARCH(query));
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        const results = data[3] || []; // Results are in the 4th array element
-        
-        if (results.length > 0) {
-            const terms = processSearchResults(results);
-            displaySearchResults(terms);
-        } else {
-            showNoResultsState();
+function handleGlobalKeydown(event) {
+    const topDialog = AppState.dialogStack[AppState.dialogStack.length - 1];
+    
+    if (topDialog) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeTopDialog(topDialog.container);
+        } else if (event.altKey && topDialog.container === DOM.modal.container &&
+                   (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+            event.preventDefault();
+            navigateModalHistory(AppState.modalHistory.index + (event.key === 'ArrowLeft' ? -1 : 1));
+        } else if (event.key === 'Tab') {
+            trapDialogFocus(event, topDialog.container);
         }
-    } catch (error) {
-        console.error('Error fetching HPO data:', error);
-        showErrorState();
+        return;
+    }
+    
+    if (event.ctrlKey || event.metaKey || event.altKey || isTextEntryElement(event.target)) return;
+    
+    const shortcut = KEYBOARD_SHORTCUTS.find(entry => entry.key === event.key.toLowerCase() || entry.key === event.key);
+    if (shortcut) {
+        event.preventDefault();
+        shortcut.action();
     }
 }
 
 /**
- * Process raw search results into standardized term objects
- * @param {Array} rawResults - Raw results from HPO API
- * @returns {Array} Processed term objects
+ * Close a dialog from the keyboard, using the term modal's own close handler
+ * @param {HTMLElement} container - Dialog to close
  */
-function processSearchResults(rawResults) {
-    return rawResults.map(termData => ({
-        id: termData[0] || '',
-        name: termData[1] || '',
-        definition: termData[2] || '',
-        synonyms: termData[3] || ''
-    }));
+function closeTopDialog(container) {
+    if (container === DOM.modal.container) {
+        closeModal();
+    } else {
+        closeDialog(container);
+    }
 }
 
 /**
- * Display search results in the results list
- * @param {Array} terms - Array of term objects to display
+ * Keep Tab and Shift+Tab cycling through the focusable elements of a dialog
+ * @param {KeyboardEvent} event - Tab keydown event
+ * @param {HTMLElement} container - Open dialog
  */
-function displaySearchResults(terms) {
-    DOM.search.list.innerHTML = '';
-    DOM.search.count.textContent = `${terms.length} terms found`;
+function trapDialogFocus(event, container) {
+    const focusable = getFocusableElements(container);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
     
-    terms.forEach(term => {
-        const listItem = createSearchResultListItem(term);
-        DOM.search.list.appendChild(listItem);
-    });
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    
+    if (!container.contains(active)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
 }
 
 /**
- * Create a list item element for search results
- * @param {Object} term - Term object with id, name, definition, synonyms
- * @returns {HTMLLIElement} Configured list item element
+ * Check whether an element takes typed text, so shortcuts do not steal its keys
+ * @param {HTMLElement} element - Element receiving the key
+ * @returns {boolean} True for text inputs, text areas, selects and editable content
  */
-function createSearchResultListItem(term) {
-    const li = document.createElement('li');
-    li.className = 'result-item';
-    li.innerHTML = `
-        <div class="result-content">
-            <span class="term-name">${escapeHTML(term.name)} - </span>
-            <span class="hpo-id">${escapeHTML(term.id)}</span>
-        </div>
-        <div class="term-actions">
-            <i class="fas fa-info-circle info-icon" title="View details"></i>
-        </div>
-    `;
+function isTextEntryElement(element) {
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'file'].includes(element.type);
+}
+
+/**
+ * Move from the search box into the results with the Down arrow
+ * @param {KeyboardEvent} event - Keydown event from the search input
+ */
+function handleSearchInputKeydown(event) {
+    if (event.key !== 'ArrowDown') return;
     
-    // Add term to selection on click (excluding info icon)
-    li.addEventListener('click', (event) => {
-        if (!event.target.classList.contains('info-icon') && 
-            !event.target.parentElement.classList.contains('term-actions')) {
-            addTermToSelection(term);
-        }
+    const firstResult = DOM.search.list.querySelector('.result-item');
+    if (firstResult) {
+        event.preventDefault();
+        focusListItem(firstResult);
+    }
+}
+
+/**
+ * Handle arrow, Enter and details keys on a focused search result
+ * @param {KeyboardEvent} event - Keydown event from the results list
+ */
+function handleResultsKeydown(event) {
+    const item = event.target.closest('.result-item');
+    if (!item || event.target !== item) return;
+    
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        item.click();
+    } else if (event.key.toLowerCase() === 'i') {
+        event.preventDefault();
+        item.querySelector('.info-icon').click();
+    } else if (event.key.toLowerCase() === 'f') {
+        event.preventDefault();
+        item.querySelector('.favorite-toggle').click();
+    } else if (event.key === 'ArrowUp' && !item.previousElementSibling) {
+        event.preventDefault();
+        DOM.search.input.focus();
+    } else {
+        // Render the next page before stepping past the last rendered result
+        if (event.key === 'ArrowDown' && !item.nextElementSibling?.matches('.result-item')) {
+            appendListPage(DOM.search.list);
+        }
+        moveListFocus(event, item, '.result-item');
+    }
+}
+
+/**
+ * Handle arrow, Delete and exclusion keys on a focused selected term
+ * @param {KeyboardEvent} event - Keydown event from the selection list
+ */
+function handleSelectionKeydown(event) {
+    const item = event.target.closest('.selected-item');
+    if (!item || event.target !== item) return;
+    
+    const items = Array.from(DOM.selection.list.querySelectorAll('.selected-item'));
+    const index = items.indexOf(item);
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        removeTermFromSelection(item.dataset.id);
+        
+        // Keep focus in the list at the same position, or return to search when it is empty
+        const remaining = DOM.selection.list.querySelectorAll('.selected-item');
+        if (remaining.length > 0) {
+            focusListItem(remaining[Math.min(index, remaining.length - 1)]);
+        } else {
+            DOM.search.input.focus();
+        }
+    } else if (event.key.toLowerCase() === 'x') {
+        event.preventDefault();
+        toggleTermExclusion(item.dataset.id);
+        focusListItem(DOM.selection.list.querySelectorAll('.selected-item')[index]);
+    } else {
+        moveListFocus(event, item, '.selected-item');
+    }
+}
+
+/**
+ * Move focus within a list for the arrow, Home and End keys
+ * @param {KeyboardEvent} event - Keydown event
+ * @param {HTMLElement} item - Currently focused list item
+ * @param {string} selector - Selector matching the navigable items of the list
+ */
+function moveListFocus(event, item, selector) {
+    const items = Array.from(item.parentElement.querySelectorAll(selector));
+    const index = items.indexOf(item);
+    const targets = {
+        ArrowDown: items[index + 1],
+        ArrowUp: items[index - 1],
+        Home: items[0],
+        End: items[items.length - 1]
+    };
+    
+    if (!(event.key in targets)) return;
+    
+    event.preventDefault();
+    if (targets[event.key]) {
+        focusListItem(targets[event.key]);
+    }
+}
+
+/**
+ * Fill the shortcuts dialog from the global shortcuts and the in-list keys
+ */
+function renderShortcutHelp() {
+    const rows = [...KEYBOARD_SHORTCUTS, ...CONTEXT_KEYS].map(entry => `
+        <tr>
+            <td><kbd>${escapeHTML(entry.key)}</kbd></td>
+            <td>${escapeHTML(entry.description)}</td>
+        </tr>
+    `);
+    DOM.help.table.querySelector('tbody').innerHTML = rows.join('');
+}
+
+/**
+ * Focus a list item and make it the list's single Tab stop
+ * @param {HTMLElement} item - List item to focus
+ */
+function focusListItem(item) {
+    Array.from(item.parentElement.children).forEach(other => {
+        if (other !== item && other.tabIndex === 0) other.tabIndex = -1;
     });
+    item.tabIndex = 0;
+    item.focus();
+}
+
+// =============================================================================
+// PAGED LIST RENDERING
+// =============================================================================
+
+/**
+ * Render a list a page at a time so that long lists show their first items immediately
+ * Replaces the container's content; items beyond the first page are built on demand
+ * @param {HTMLElement} container - List element to fill
+ * @param {Array} records - Records to show
+ * @param {Function} renderItem - Builds the element of a record: (record, index) => HTMLElement
+ * @param {number} pageSize - Number of items built per page
+ */
+function renderPagedList(container, records, renderItem, pageSize) {
+    const previous = AppState.pagedLists.get(container);
+    if (previous && previous.observer) previous.observer.disconnect();
+    
+    const pagedList = { records, renderItem, pageSize, rendered: 0, observer: null };
+    
+    // Append the next page when the "Show more" row scrolls into view
+    if ('IntersectionObserver' in window) {
+        pagedList.observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) appendListPage(container);
+        });
+    }
+    
+    AppState.pagedLists.set(container, pagedList);
+    container.innerHTML = '';
+    appendListPage(container);
+}
+
+/**
+ * Append the next page of a paged list
+ * @param {HTMLElement} container - List element filled by renderPagedList
+ * @returns {HTMLElement|null} First element added, or null when the list is complete
+ */
+function appendListPage(container) {
+    const pagedList = AppState.pagedLists.get(container);
+    if (!pagedList || pagedList.rendered >= pagedList.records.length) return null;
+    
+    const { records, renderItem, pageSize } = pagedList;
+    const end = Math.min(pagedList.rendered + pageSize, records.length);
+    const fragment = document.createDocumentFragment();
+    
+    for (let index = pagedList.rendered; index < end; index++) {
+        fragment.appendChild(renderItem(records[index], index));
+    }
+    
+    const firstAdded = fragment.firstElementChild;
+    pagedList.rendered = end;
+    
+    container.querySelector(':scope > .list-more')?.remove();
+    container.appendChild(fragment);
+    
+    if (end < records.length) {
+        const moreControl = createListMoreControl(container, records.length - end, Math.min(pageSize, records.length - end));
+        container.appendChild(moreControl);
+        if (pagedList.observer) pagedList.observer.observe(moreControl);
+    }
+    
+    return firstAdded;
+}
+
+/**
+ * Create the "Show more" row at the end of a paged list
+ * @param {HTMLElement} container - Paged list element
+ * @param {number} remaining - Records not rendered yet
+ * @param {number} nextCount - Records the next page will add
+ * @returns {HTMLElement} Row element matching the container type
+ */
+function createListMoreControl(container, remaining, nextCount) {
+    const row = document.createElement(container.tagName === 'UL' || container.tagName === 'OL' ? 'li' : 'div');
+    row.className = 'list-more';
+    row.innerHTML = `
+        <button type="button" class="btn btn-outline btn-small">
+            Show ${nextCount} more <span class="list-more-count">(${remaining} remaining)</span>
+        </button>
+    `;
     
-    // Show term details when info icon is clicked
-    const infoIcon = li.querySelector('.info-icon');
-    infoIcon.addEventListener('click', (event) => {
+    row.querySelector('button').addEventListener('click', (event) => {
         event.stopPropagation();
-        showTermDetailsModal(term);
+        const firstAdded = appendListPage(container);
+        if (!firstAdded) return;
+        
+        // Keep keyboard users in place: the button they pressed has just been removed
+        if (firstAdded.hasAttribute('tabindex')) {
+            focusListItem(firstAdded);
+        } else {
+            (firstAdded.matches(FOCUSABLE_SELECTOR) ? firstAdded : firstAdded.querySelector(FOCUSABLE_SELECTOR))?.focus();
+        }
+    });
+    
+    return row;
+}
+
+/**
+ * Get the record behind a rendered item of a paged list
+ * @param {HTMLElement} container - Paged list element
+ * @param {HTMLElement} item - Rendered item carrying a data-index attribute
+ * @returns {*} Record, or undefined when the item is not part of the list
+ */
+function getPagedListRecord(container, item) {
+    const pagedList = AppState.pagedLists.get(container);
+    return pagedList ? pagedList.records[Number(item.dataset.index)] : undefined;
+}
+
+// =============================================================================
+// SEARCH FUNCTIONALITY
+// =============================================================================
+
+/**
+ * Perform HPO search through the active data provider
+ * Only the most recent search renders; slower responses to earlier queries are dropped.
+ * Queries that are a term ID are looked up directly; other results are restricted
+ * to the search scope branch when one is set.
+ * @param {string} query - Search term from user input
+ */
+async function performHPOSearch(query) {
+    const searchId = ++AppState.latestSearchId;
+    const lookupId = parseTermIdQuery(query);
+    
+    if (lookupId) {
+        await lookUpTermById(lookupId, searchId);
+        return;
+    }
+    
+    try {
+        const scopeIds = await fetchSearchScopeIds();
+        if (searchId !== AppState.latestSearchId) return;
+        
+        if (AppState.ontology) {
+            const terms = mergeTranslatedMatches(searchLocalOntology(query, scopeIds), query, scopeIds);
+            terms.length > 0 ? displaySearchResults(rankSearchResults(terms, query), query) : showNoResultsState();
+            return;
+        }
+        
+        const results = await searchDataProvider(query, scopeIds);
+        if (searchId !== AppState.latestSearchId) return;
+        
+        const terms = mergeTranslatedMatches(results.terms, query, scopeIds);
+        
+        if (terms.length > 0) {
+            displaySearchResults(rankSearchResults(terms, query), query, results);
+        } else {
+            showNoResultsState();
+        }
+    } catch (error) {
+        if (searchId !== AppState.latestSearchId) return;
+        console.error('Error fetching HPO data:', error);
+        showErrorState();
+    }
+}
+
+/**
+ * Search the live provider, filtered to the branch when one is chosen
+ * Unscoped searches use the first page of matches; scoped searches keep paging so that
+ * matches ranked beyond the first page can still fall inside the branch
+ * @param {string} query - Search term from user input
+ * @param {Set<string>|null} scopeIds - IDs the search is restricted to, or null
+ * @returns {Promise<Object>} Promise resolving to { terms, searched, total } where searched
+ *     is how many of the provider's total matches were examined
+ */
+async function searchDataProvider(query, scopeIds) {
+    const terms = [];
+    const seenIds = new Set();
+    let searched = 0;
+    let total = 0;
+    
+    do {
+        const page = await queryDataProvider('search', query, searched);
+        total = page.total;
+        // Advance by the raw matches the page covered, even when none of them were HPO terms
+        searched += page.consumed;
+        page.terms.forEach(term => {
+            if (seenIds.has(term.id) || (scopeIds && !scopeIds.has(term.id))) return;
+            seenIds.add(term.id);
+            terms.push(term);
+        });
+        if (page.consumed === 0) break;
+    } while (scopeIds && searched < total && searched < SEARCH_CONFIG.MAX_SCOPED_RESULTS);
+    
+    return { terms, searched, total };
+}
+
+/**
+ * Recognize a query that is an HPO term ID
+ * Accepts HP:0001250, HP_0001250, the bare seven digits and the OBO PURL
+ * @param {string} query - Search term from user input
+ * @returns {string|null} Normalized ID such as HP:0001250, or null for free text
+ */
+function parseTermIdQuery(query) {
+    const match = query.trim().match(/^(?:https?:\/\/purl\.obolibrary\.org\/obo\/)?(?:HP[:_])?(\d{7})$/i);
+    return match ? `HP:${match[1]}` : null;
+}
+
+/**
+ * Show the term behind a typed ID as the only search result
+ * The branch filter does not apply: an explicit ID is always shown
+ * @param {string} hpId - Normalized HPO term ID
+ * @param {number} searchId - ID of the search this lookup answers
+ */
+async function lookUpTermById(hpId, searchId) {
+    try {
+        const term = await fetchTermSearchRecord(hpId);
+        if (searchId !== AppState.latestSearchId) return;
+        
+        if (term) {
+            displaySearchResults([term], hpId);
+            DOM.search.count.textContent = `${hpId} found by ID`;
+        } else {
+            showNoResultsState();
+        }
+    } catch (error) {
+        if (searchId !== AppState.latestSearchId) return;
+        console.error('Error looking up HPO term:', hpId, error);
+        showErrorState();
+    }
+}
+
+/**
+ * Fetch a term in the shape of a search result, from the offline ontology when loaded
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object|null>} Promise resolving to { id, name, definition, synonyms }, or null if unknown or obsolete
+ * @throws {Error} When the API cannot be reached
+ */
+async function fetchTermSearchRecord(hpId) {
+    if (AppState.ontology) {
+        const localTerm = getLocalTerm(hpId);
+        return localTerm && !localTerm.obsolete ? {
+            id: localTerm.id,
+            name: localTerm.name,
+            definition: localTerm.definition,
+            synonyms: localTerm.synonyms
+        } : null;
+    }
+    
+    return queryDataProvider('term', hpId);
+}
+
+/**
+ * Order search results by how well they match the query
+ * Tiers: exact name, ID, name prefix, name contains, synonym, definition, other;
+ * shorter names come first within a tier. Translated names and synonyms count like
+ * the English ones. Each result also records the synonym that matched when its name
+ * does not contain the query.
+ * @param {Array} terms - Term objects from the search
+ * @param {string} query - Search term from user input
+ * @returns {Array} Ranked copies of the term objects with a matchedSynonym property
+ */
+function rankSearchResults(terms, query) {
+    const normalizedQuery = query.toLowerCase();
+    const words = normalizedQuery.split(/\s+/).filter(Boolean);
+    const containsQuery = (text) => {
+        const normalized = String(text || '').toLowerCase();
+        return words.every(word => normalized.includes(word));
+    };
+    
+    const ranked = terms.map((term, index) => {
+        const translated = getTranslatedTerm(term.id);
+        const names = translated ? [term.name, translated.name] : [term.name];
+        const lowerNames = names.map(name => name.toLowerCase());
+        const synonyms = [...parseSynonyms(term.synonyms), ...(translated ? translated.synonyms : [])];
+        const matchedSynonym = names.some(containsQuery) ? '' : synonyms.find(containsQuery) || '';
+        
+        let tier = 6;
+        if (lowerNames.includes(normalizedQuery)) tier = 0;
+        else if (term.id.toLowerCase().includes(normalizedQuery)) tier = 1;
+        else if (lowerNames.some(name => name.startsWith(normalizedQuery))) tier = 2;
+        else if (names.some(containsQuery)) tier = 3;
+        else if (matchedSynonym) tier = 4;
+        else if (containsQuery(term.definition)) tier = 5;
+        
+        return { term: { ...term, matchedSynonym }, tier, index };
     });
     
+    ranked.sort((a, b) =>
+        a.tier - b.tier ||
+        a.term.name.length - b.term.name.length ||
+        a.index - b.index
+    );
+    
+    return ranked.map(({ term }) => term);
+}
+
+/**
+ * Process raw NIH Clinical Tables search results into standardized term objects
+ * @param {Array} rawResults - Raw results from the search API
+ * @returns {Array} Processed term objects
+ */
+function processSearchResults(rawResults) {
+    return rawResults.map(termData => ({
+        id: termData[0] || '',
+        name: termData[1] || '',
+        definition: termData[2] || '',
+        synonyms: termData[3] || ''
+    }));
+}
+
+/**
+ * Display search results in the results list
+ * Results are rendered a page at a time; clicks are handled by handleResultsClick
+ * @param {Array} terms - Array of term objects to display
+ * @param {string} query - Search term used to highlight matches
+ * @param {Object} [coverage] - { searched, total } provider matches examined, when known
+ */
+function displaySearchResults(terms, query, coverage = null) {
+    const scope = AppState.searchScope;
+    const partial = scope && coverage && coverage.searched < coverage.total;
+    
+    DOM.search.count.textContent = scope ?
+        `${terms.length} terms found within ${scope.name}` +
+            (partial ? ` (only the first ${coverage.searched} of ${coverage.total} matches were searched; refine the query for more)` : '') :
+        `${terms.length} terms found`;
+    
+    renderPagedList(DOM.search.list, terms, (term, index) => createSearchResultListItem(term, query, index),
+        LIST_CONFIG.SEARCH_PAGE_SIZE);
+    
+    // The first result is the list's Tab stop; arrow keys move between results
+    const firstResult = DOM.search.list.querySelector('.result-item');
+    if (firstResult) firstResult.tabIndex = 0;
+}
+
+/**
+ * Create a list item element for search results
+ * @param {Object} term - Term object with id, name, definition, synonyms and matchedSynonym
+ * @param {string} query - Search term used to highlight matches
+ * @param {number} index - Position of the term in the results
+ * @returns {HTMLLIElement} Configured list item element
+ */
+function createSearchResultListItem(term, query, index) {
+    const li = document.createElement('li');
+    li.className = 'result-item';
+    li.dataset.index = index;
+    li.innerHTML = `
+        <div class="result-content">
+            <span class="term-name">${highlightMatches(term.name, query)} - </span>
+            <span class="hpo-id">${highlightMatches(term.id, query)}</span>
+            ${renderTranslatedLabel(term.id, query)}
+            ${term.matchedSynonym ? `<div class="matched-synonym">Synonym: ${highlightMatches(term.matchedSynonym, query)}</div>` : ''}
+        </div>
+        <div class="term-actions">
+            <button type="button" class="favorite-toggle" data-id="${escapeHTML(term.id)}" tabindex="-1"></button>
+            <button type="button" class="info-icon" title="View details (i)"
+                    tabindex="-1"><i class="fas fa-info-circle" aria-hidden="true"></i></button>
+        </div>
+    `;
+    li.tabIndex = -1;
+    li.querySelector('.info-icon').setAttribute('aria-label', `View details of ${term.name}`);
+    
+    updateFavoriteToggle(li.querySelector('.favorite-toggle'), Boolean(findFavoriteGroup(term.id)));
+    
     return li;
 }
 
+/**
+ * Handle clicks anywhere in the results list
+ * A result adds its term to the selection; the star pins it and the info icon opens its details
+ * @param {MouseEvent} event - Click event from the results list
+ */
+function handleResultsClick(event) {
+    const item = event.target.closest('.result-item');
+    const term = item && getPagedListRecord(DOM.search.list, item);
+    if (!term) return;
+    
+    if (event.target.closest('.favorite-toggle')) {
+        toggleFavorite(term);
+    } else if (event.target.closest('.info-icon')) {
+        showTermDetailsModal(term);
+    } else if (!event.target.closest('.term-actions')) {
+        addTermToSelection(term);
+    }
+}
+
+/**
+ * Fill the branch filter with the top-level phenotype categories
+ * Failures leave the filter with "All of HPO" and any term picked from the modal
+ */
+async function loadSearchScopeOptions() {
+    try {
+        const categories = await fetchTermChildren(ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY);
+        AppState.searchScopeCategories = categories.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        console.warn('Could not load top-level phenotype categories:', error);
+    }
+    
+    renderSearchScopeOptions();
+}
+
+/**
+ * Render the branch filter options, including the active scope when it is not a top-level category
+ */
+function renderSearchScopeOptions() {
+    const scope = AppState.searchScope;
+    const categories = AppState.searchScopeCategories;
+    const toOption = ({ id, name }) => `<option value="${escapeHTML(id)}">${escapeHTML(name)}</option>`;
+    
+    DOM.search.scopeSelect.innerHTML = [
+        `<option value="">${escapeHTML(getUIString('allOfHpo'))}</option>`,
+        scope && !categories.some(category => category.id === scope.id) ? toOption(scope) : '',
+        ...categories.map(toOption)
+    ].join('');
+    DOM.search.scopeSelect.value = scope ? scope.id : '';
+}
+
+/**
+ * Apply the branch chosen in the filter
+ */
+function handleSearchScopeChange() {
+    const option = DOM.search.scopeSelect.selectedOptions[0];
+    setSearchScope(option && option.value ? { id: option.value, name: option.textContent } : null);
+}
+
+/**
+ * Restrict searches to a term and its descendants and re-run the current query
+ * @param {Object|null} term - Branch root ({ id, name }), or null to search all of HPO
+ */
+function setSearchScope(term) {
+    AppState.searchScope = term ? { id: term.id, name: term.name } : null;
+    renderSearchScopeOptions();
+    
+    const query = DOM.search.input.value.trim();
+    if (query) {
+        showLoadingState();
+        performHPOSearch(query);
+    }
+}
+
+/**
+ * Get the IDs searches are restricted to
+ * @returns {Promise<Set<string>|null>} Promise resolving to the scope term and its descendants, or null without a scope
+ * @throws {Error} When the descendants cannot be fetched
+ */
+async function fetchSearchScopeIds() {
+    const scope = AppState.searchScope;
+    if (!scope) return null;
+    
+    const descendants = await fetchTermDescendants(scope.id);
+    return new Set([scope.id, ...descendants]);
+}
+
 // =============================================================================
 // MODAL DIALOG FUNCTIONALITY
 // =============================================================================
@@ -331,22 +1924,97 @@ function createSearchResultListItem(term) {
  * @param {Object} term - Term object to display details for
  */
 async function showTermDetailsModal(term) {
+    const history = AppState.modalHistory;
+    
+    // Opening from outside the modal starts a new trail; navigating inside it extends the trail
+    if (!AppState.currentTerm) {
+        history.entries = [];
+        history.index = -1;
+    }
+    
+    const current = history.entries[history.index];
+    if (!current || current.id !== term.id) {
+        history.entries = history.entries.slice(0, history.index + 1);
+        history.entries.push(term);
+        history.index = history.entries.length - 1;
+    }
+    
+    await loadTermIntoModal(history.entries[history.index]);
+}
+
+/**
+ * Move through the modal's navigation history
+ * @param {number} index - Position in the history to show
+ */
+function navigateModalHistory(index) {
+    const history = AppState.modalHistory;
+    if (index < 0 || index >= history.entries.length || index === history.index) return;
+    
+    history.index = index;
+    loadTermIntoModal(history.entries[index]);
+}
+
+/**
+ * Load a term into the modal. Each call supersedes the previous one, so when the user
+ * clicks quickly through the hierarchy only the latest term's data is rendered.
+ * @param {Object} term - Term object to display
+ */
+async function loadTermIntoModal(term) {
+    const loadId = ++AppState.modalHistory.loadId;
+    const isCurrent = () => loadId === AppState.modalHistory.loadId;
+    
     AppState.currentTerm = term;
     AppState.isLoadingModalData = true;
+    if (term.id) updateRoute(getTermRoute(term.id));
     
     updateModalBasicInfo(term);
-    await loadModalDefinitionAndSynonyms(term);
+    renderModalHistory();
+    refreshFavoriteToggles();
+    await loadModalDefinitionAndSynonyms(term, isCurrent);
+    if (!isCurrent()) return;
+    
     initializeModalLoadingStates();
     
-    DOM.modal.container.style.display = 'block';
+    openDialog(DOM.modal.container);
     
     if (term.id) {
-        await loadModalAnnotations(term.id);
+        renderOntologyTree(term);
+        await loadModalAnnotations(term.id, isCurrent);
     } else {
         showModalNoDataState();
     }
     
-    AppState.isLoadingModalData = false;
+    if (isCurrent()) AppState.isLoadingModalData = false;
+}
+
+/**
+ * Render the Back/Forward buttons and the trail of visited terms
+ */
+function renderModalHistory() {
+    const { entries, index } = AppState.modalHistory;
+    
+    DOM.modal.backBtn.disabled = index <= 0;
+    DOM.modal.forwardBtn.disabled = index >= entries.length - 1;
+    
+    DOM.modal.trail.innerHTML = '';
+    DOM.modal.trail.hidden = entries.length < 2;
+    
+    entries.forEach((entry, position) => {
+        const li = document.createElement('li');
+        const link = document.createElement('button');
+        link.className = position === index ? 'breadcrumb-link current' : 'breadcrumb-link';
+        link.textContent = entry.name || entry.id;
+        link.title = entry.id;
+        
+        if (position === index) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.addEventListener('click', () => navigateModalHistory(position));
+        }
+        
+        li.appendChild(link);
+        DOM.modal.trail.appendChild(li);
+    });
 }
 
 /**
@@ -356,23 +2024,50 @@ async function showTermDetailsModal(term) {
 function updateModalBasicInfo(term) {
     DOM.modal.name.textContent = term.name || 'No name available';
     DOM.modal.id.textContent = term.id || 'No ID available';
+    updateModalTranslation(term);
+}
+
+/**
+ * Show the translated label, definition and synonyms of the modal term below its ID
+ * @param {Object} term - Term shown in the modal
+ */
+function updateModalTranslation(term) {
+    const translated = getTranslatedTerm(term.id);
+    
+    DOM.modal.translation.hidden = !translated;
+    if (!translated) {
+        DOM.modal.translation.innerHTML = '';
+        return;
+    }
+    
+    const language = escapeHTML(AppState.translation.language);
+    DOM.modal.translation.innerHTML = `
+        <span class="translation-language">${escapeHTML(getLanguageLabel(AppState.translation.language))}</span>
+        <strong lang="${language}">${escapeHTML(translated.name)}</strong>
+        ${translated.definition ? `<p lang="${language}">${escapeHTML(translated.definition)}</p>` : ''}
+        ${translated.synonyms.length > 0 ?
+            `<p class="translation-synonyms" lang="${language}">${escapeHTML(translated.synonyms.join('; '))}</p>` : ''}
+    `;
 }
 
 /**
  * Load and display definition and synonyms in modal
  * @param {Object} term - Term object to load data for
+ * @param {Function} isCurrent - Returns false once another term has been requested
  */
-async function loadModalDefinitionAndSynonyms(term) {
+async function loadModalDefinitionAndSynonyms(term, isCurrent) {
     // Load definition if not already available
     if (!term.definition) {
         term.definition = await fetchTermDefinition(term.id);
     }
+    if (!isCurrent()) return;
     DOM.modal.definition.textContent = term.definition || 'No definition available';
     
     // Load synonyms if not already available
     if (!term.synonyms) {
         term.synonyms = await fetchTermSynonyms(term.id);
     }
+    if (!isCurrent()) return;
     displayModalSynonyms(term.synonyms);
 }
 
@@ -419,19 +2114,22 @@ function parseSynonyms(synonyms) {
  * Initialize loading states for modal sections
  */
 function initializeModalLoadingStates() {
+    // forget the previous term's records and filter text
+    AppState.annotations.genes = [];
+    AppState.annotations.diseases = [];
+    DOM.modal.annotationControls.forEach(controls => {
+        controls.querySelector('.annotation-filter').value = '';
+    });
+    
     // reset count displays
     const geneCountSpan = document.getElementById('genes-count');
     const diseaseCountSpan = document.getElementById('diseases-count');
-    const parentsCountSpan = document.getElementById('parents-count');
-    const childrenCountSpan = document.getElementById('children-count');
     if (geneCountSpan) geneCountSpan.textContent = '(0)';
     if (diseaseCountSpan) diseaseCountSpan.textContent = '(0)';
-    if (parentsCountSpan) parentsCountSpan.textContent = '(0)';
-    if (childrenCountSpan) childrenCountSpan.textContent = '(0)';
 
     const loadingConfig = [
-        { element: DOM.modal.parents, text: 'Loading parent terms...' },
-        { element: DOM.modal.children, text: 'Loading child terms...' },
+        { element: DOM.modal.breadcrumbs, text: '<em>Loading paths from the root...</em>' },
+        { element: DOM.modal.tree, text: '<li><em>Loading ontology tree...</em></li>' },
         { element: DOM.modal.genes, text: 'Loading associated genes...' },
         { element: DOM.modal.diseases, text: '<li><em>Loading associated diseases...</em></li>' }
     ];
@@ -444,14 +2142,15 @@ function initializeModalLoadingStates() {
 /**
  * Load and display JAX annotations in modal
  * @param {string} hpId - HPO term ID to load annotations for
+ * @param {Function} isCurrent - Returns false once another term has been requested
  */
-async function loadModalAnnotations(hpId) {
+async function loadModalAnnotations(hpId, isCurrent) {
     try {
-        const annotations = await fetchJAXAnnotations(hpId);
+        const annotations = await fetchTermDetails(hpId);
+        if (!isCurrent()) return;
         updateModalWithAnnotations(annotations);
-        setupGeneCopyFunctionality();
-        setupDiseaseCopyFunctionality();
     } catch (error) {
+        if (!isCurrent()) return;
         console.warn('Error loading JAX annotations:', error);
         showModalErrorState();
     }
@@ -462,496 +2161,4831 @@ async function loadModalAnnotations(hpId) {
  * @param {Object} annotations - Annotation data object
  */
 function updateModalWithAnnotations(annotations) {
-    updateModalRelationshipList(DOM.modal.parents, annotations.parents, 'parent');
-    updateModalRelationshipList(DOM.modal.children, annotations.children, 'child');
-    updateModalGenesList(annotations.genes);
-    updateModalDiseasesList(annotations.diseases);
+    AppState.annotations.genes = annotations.genes;
+    AppState.annotations.diseases = annotations.diseases;
+    
+    ['genes', 'diseases'].forEach(kind => {
+        renderAnnotationSourceOptions(kind);
+        renderAnnotationList(kind);
+    });
 }
 
 /**
- * Update relationship lists (parents/children) in modal
- * @param {HTMLElement} container - DOM element to populate
- * @param {Array} items - Array of relationship items
- * @param {string} type - Type of relationship ('parent' or 'child')
+ * Create an action button with icon
+ * @param {string} iconName - FontAwesome icon name
+ * @param {Function} onClick - Click event handler
+ * @param {string} label - Accessible label and tooltip
+ * @returns {HTMLButtonElement} Configured action button
  */
-function updateModalRelationshipList(container, items, type) {
-    if (!container) return;
-    
-    // update corresponding count span
-    let countSpanId = '';
-    if (type === 'parent') countSpanId = 'parents-count';
-    if (type === 'child') countSpanId = 'children-count';
-    const countSpan = countSpanId ? document.getElementById(countSpanId) : null;
-    if (countSpan) countSpan.textContent = `(${items.length})`;
+function createActionButton(iconName, onClick, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'action-btn';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<i class="fa fa-${iconName}" aria-hidden="true"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
 
-    container.innerHTML = '';
-    
-    if (items.length === 0) {
-        container.innerHTML = `<li>No associated ${type} terms found</li>`;
-        return;
-    }
-    
-    items.forEach(item => {
-        const listItem = createInteractiveRelationshipItem(item, type);
-        container.appendChild(listItem);
+/**
+ * Fill the sort and copy format menus of the gene and disease sections and wire their controls
+ */
+function initializeAnnotationControls() {
+    DOM.modal.annotationControls.forEach(controls => {
+        const kind = controls.dataset.kind;
+        
+        controls.querySelector('.annotation-sort').innerHTML = ANNOTATION_CONFIG.SORTS
+            .map(sort => `<option value="${sort.value}">${sort.label}</option>`)
+            .join('');
+        controls.querySelector('.annotation-copy-format').innerHTML = ANNOTATION_CONFIG.COPY_FORMATS[kind]
+            .map(format => `<option value="${format.value}">${format.label}</option>`)
+            .join('');
+        
+        controls.querySelector('.annotation-filter').addEventListener('input', () => renderAnnotationList(kind));
+        controls.querySelector('.annotation-source').addEventListener('change', () => renderAnnotationList(kind));
+        controls.querySelector('.annotation-sort').addEventListener('change', () => renderAnnotationList(kind));
     });
+    
+    DOM.modal.copyGenesBtn.addEventListener('click', () => copyAnnotationsToClipboard('genes', DOM.modal.copyGenesBtn));
+    DOM.modal.copyDiseasesBtn.addEventListener('click', () => copyAnnotationsToClipboard('diseases', DOM.modal.copyDiseasesBtn));
 }
 
 /**
- * Create an interactive list item for relationship terms
- * @param {Object} item - Relationship term object
- * @param {string} type - Type of relationship
- * @returns {HTMLLIElement} Configured list item
+ * Get the filter controls of the gene or disease section
+ * @param {string} kind - 'genes' or 'diseases'
+ * @returns {HTMLElement} Controls container
  */
-function createInteractiveRelationshipItem(item, type) {
-    const li = document.createElement('li');
+function getAnnotationControls(kind) {
+    return Array.from(DOM.modal.annotationControls).find(controls => controls.dataset.kind === kind);
+}
+
+/**
+ * Get the source database of an annotation ID
+ * @param {string} id - CURIE such as "OMIM:101600"
+ * @returns {string} ID prefix such as "OMIM"
+ */
+function getAnnotationSource(id) {
+    return id.split(':')[0];
+}
+
+/**
+ * Build the external page URL of a gene or disease record
+ * @param {Object} record - { id, name } record
+ * @returns {string|null} URL, or null for sources without a known page
+ */
+function getAnnotationLink(record) {
+    const link = ANNOTATION_CONFIG.LINKS[getAnnotationSource(record.id)];
+    return link ? link(record.id.slice(record.id.indexOf(':') + 1)) : null;
+}
+
+/**
+ * Offer a source filter listing the databases present in the section's records
+ * The filter is hidden when all records come from one database
+ * @param {string} kind - 'genes' or 'diseases'
+ */
+function renderAnnotationSourceOptions(kind) {
+    const select = getAnnotationControls(kind).querySelector('.annotation-source');
+    const sources = [...new Set(AppState.annotations[kind].map(record => getAnnotationSource(record.id)))].sort();
     
-    // Term text
-    const textSpan = document.createElement('span');
-    textSpan.textContent = `${item.name} (${item.id})`;
+    select.innerHTML = '<option value="">All sources</option>' + sources
+        .map(source => `<option value="${escapeHTML(source)}">${escapeHTML(ANNOTATION_CONFIG.SOURCE_LABELS[source] || source)}</option>`)
+        .join('');
+    select.hidden = sources.length < 2;
+}
+
+/**
+ * Apply the section's filter text, source filter and sort order to its records
+ * @param {string} kind - 'genes' or 'diseases'
+ * @returns {Array} Records to display
+ */
+function getVisibleAnnotations(kind) {
+    const controls = getAnnotationControls(kind);
+    const query = controls.querySelector('.annotation-filter').value.trim().toLowerCase();
+    const source = controls.querySelector('.annotation-source').value;
+    const sort = controls.querySelector('.annotation-sort').value;
     
-    // Info action button
-    const infoButton = createActionButton('info-circle', () => showTermDetailsModal(item));
+    const records = AppState.annotations[kind].filter(record =>
+        (!source || getAnnotationSource(record.id) === source) &&
+        (!query || record.name.toLowerCase().includes(query) || record.id.toLowerCase().includes(query)));
     
-    // Add action button
-    const addButton = createActionButton('plus-circle', () => addTermToSelection(item));
+    return records.sort((a, b) => {
+        if (sort === 'id') return a.id.localeCompare(b.id, undefined, { numeric: true });
+        const byName = a.name.localeCompare(b.name);
+        return sort === 'name-desc' ? -byName : byName;
+    });
+}
+
+/**
+ * Render the gene or disease section from its records and controls
+ * @param {string} kind - 'genes' or 'diseases'
+ */
+function renderAnnotationList(kind) {
+    const records = getVisibleAnnotations(kind);
+    const total = AppState.annotations[kind].length;
     
-    li.append(textSpan, infoButton, addButton);
-    return li;
+    if (kind === 'genes') {
+        updateModalGenesList(records, total);
+    } else {
+        updateModalDiseasesList(records, total);
+    }
 }
 
 /**
- * Create an action button with icon
- * @param {string} iconName - FontAwesome icon name
- * @param {Function} onClick - Click event handler
- * @returns {HTMLSpanElement} Configured action button
+ * Format a section count, showing how many records pass the filters
+ * @param {number} shown - Records displayed
+ * @param {number} total - Records loaded
+ * @returns {string} Count such as "(12)" or "(3 of 12)"
  */
-function createActionButton(iconName, onClick) {
-    const button = document.createElement('span');
-    button.style.cssText = 'cursor: pointer; margin-left: 10px;';
-    button.innerHTML = `<i class="fa fa-${iconName}" aria-hidden="true"></i>`;
-    button.addEventListener('click', onClick);
-    return button;
+function formatAnnotationCount(shown, total) {
+    return shown === total ? `(${total})` : `(${shown} of ${total})`;
 }
 
 /**
  * Update genes list in modal
- * @param {Array} genes - Array of gene names
+ * @param {Array} genes - { id, name } gene records to display
+ * @param {number} total - Number of genes before filtering
  */
-function updateModalGenesList(genes) {
+function updateModalGenesList(genes, total) {
     if (!DOM.modal.genes) return;
 
     // update count span
     const countSpan = document.getElementById('genes-count');
-    if (countSpan) countSpan.textContent = `(${genes.length})`;
-    
-    DOM.modal.genes.innerHTML = '';
+    if (countSpan) countSpan.textContent = formatAnnotationCount(genes.length, total);
     
     if (genes.length > 0) {
-        genes.forEach(geneName => {
-            const geneChip = document.createElement('span');
-            geneChip.className = 'gene-chip';
-            geneChip.textContent = geneName;
-            DOM.modal.genes.appendChild(geneChip);
-        });
+        renderPagedList(DOM.modal.genes, genes, createGeneChip, LIST_CONFIG.ANNOTATION_PAGE_SIZE);
     } else {
-        DOM.modal.genes.innerHTML = '<em>No associated genes found</em>';
+        DOM.modal.genes.innerHTML = total > 0 ?
+            '<em>No genes match the filter</em>' :
+            '<em>No associated genes found</em>';
     }
 }
 
 /**
  * Update diseases list in modal
- * @param {Array} diseases - Array of disease strings
+ * @param {Array} diseases - { id, name } disease records to display
+ * @param {number} total - Number of diseases before filtering
  */
-function updateModalDiseasesList(diseases) {
+function updateModalDiseasesList(diseases, total) {
     if (!DOM.modal.diseases) return;
 
     // update count span
     const countSpan = document.getElementById('diseases-count');
-    if (countSpan) countSpan.textContent = `(${diseases.length})`;
+    if (countSpan) countSpan.textContent = formatAnnotationCount(diseases.length, total);
 
-    DOM.modal.diseases.innerHTML = '';
-    
     if (diseases.length > 0) {
-        diseases.forEach(disease => {
+        renderPagedList(DOM.modal.diseases, diseases, createDiseaseListItem, LIST_CONFIG.ANNOTATION_PAGE_SIZE);
+    } else {
+        DOM.modal.diseases.innerHTML = total > 0 ?
+            '<li><em>No diseases match the filter</em></li>' :
+            '<li>No associated diseases found</li>';
+    }
+}
+
+/**
+ * Create a gene chip linking to NCBI Gene, with a secondary HGNC lookup link
+ * @param {Object} gene - { id, name } gene record
+ * @returns {HTMLSpanElement} Gene chip element
+ */
+function createGeneChip(gene) {
+    const geneChip = document.createElement('span');
+    const link = getAnnotationLink(gene);
+    geneChip.className = 'gene-chip';
+    geneChip.title = gene.id;
+    geneChip.innerHTML = `
+        ${link ? `<a href="${escapeHTML(link)}" target="_blank" rel="noopener">${escapeHTML(gene.name)}</a>` : escapeHTML(gene.name)}
+        <a class="chip-link" href="${escapeHTML(ANNOTATION_CONFIG.HGNC_SEARCH(gene.name))}" target="_blank" rel="noopener"
+           title="Look up ${escapeHTML(gene.name)} in HGNC" aria-label="Look up ${escapeHTML(gene.name)} in HGNC">HGNC</a>
+    `;
+    return geneChip;
+}
+
+/**
+ * Create a disease list item linking to its source database
+ * @param {Object} disease - { id, name } disease record
+ * @returns {HTMLLIElement} Disease list item
+ */
+function createDiseaseListItem(disease) {
+    const li = document.createElement('li');
+    const link = getAnnotationLink(disease);
+    li.innerHTML = `
+        ${link ? `<a href="${escapeHTML(link)}" target="_blank" rel="noopener">${escapeHTML(disease.name)}</a>` : escapeHTML(disease.name)}
+        <span class="annotation-id">${escapeHTML(disease.id)}</span>
+    `;
+    return li;
+}
+
+/**
+ * Copy the displayed genes or diseases to the clipboard in the section's chosen format
+ * @param {string} kind - 'genes' or 'diseases'
+ * @param {HTMLButtonElement} button - Copy button to show feedback on
+ */
+async function copyAnnotationsToClipboard(kind, button) {
+    const records = getVisibleAnnotations(kind);
+    
+    if (records.length === 0) {
+        alert(`No ${kind} to copy.`);
+        return;
+    }
+    
+    const formatValue = getAnnotationControls(kind).querySelector('.annotation-copy-format').value;
+    const format = ANNOTATION_CONFIG.COPY_FORMATS[kind].find(f => f.value === formatValue) ||
+        ANNOTATION_CONFIG.COPY_FORMATS[kind][0];
+    
+    try {
+        await navigator.clipboard.writeText(format.format(records));
+        showCopySuccessFeedback(button);
+    } catch (error) {
+        console.error(`Failed to copy ${kind}:`, error);
+        alert(`Failed to copy ${kind} to clipboard.`);
+    }
+}
+
+/**
+ * Show copy success feedback
+ * @param {HTMLButtonElement} button - Button that performed the copy
+ */
+function showCopySuccessFeedback(button) {
+    const originalHTML = button.innerHTML;
+    
+    button.innerHTML = '<i class="fas fa-check"></i>';
+    
+    setTimeout(() => {
+        button.innerHTML = originalHTML;
+    }, 1200);
+}
+
+/**
+ * Close modal dialog
+ */
+function closeModal() {
+    closeDialog(DOM.modal.container);
+    AppState.currentTerm = null;
+    AppState.modalHistory.loadId++;
+    updateRoute(getSearchRoute());
+}
+
+/**
+ * Add current modal term to selection
+ */
+function addCurrentTermFromModal() {
+    if (AppState.currentTerm) {
+        addTermToSelection(AppState.currentTerm);
+        closeModal();
+    }
+}
+
+// =============================================================================
+// ONTOLOGY TREE BROWSER
+// =============================================================================
+
+/**
+ * Switch the tree between starting at the current term and at the top of the hierarchy
+ * @param {string} mode - 'term' or 'root'
+ */
+function setOntologyTreeMode(mode) {
+    AppState.tree.mode = mode;
+    if (AppState.currentTerm && AppState.currentTerm.id) {
+        renderOntologyTree(AppState.currentTerm);
+    }
+}
+
+/**
+ * Render the breadcrumbs and tree panel for a term
+ * @param {Object} term - Term shown in the modal
+ */
+async function renderOntologyTree(term) {
+    const loadId = ++AppState.tree.loadId;
+    
+    DOM.modal.treeModeButtons.forEach(button => {
+        const isActive = button.dataset.mode === AppState.tree.mode;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    try {
+        const paths = await fetchRootPaths(term);
+        if (loadId !== AppState.tree.loadId) return;
+        
+        renderBreadcrumbs(paths, term);
+        
+        if (AppState.tree.mode === 'root') {
+            await renderTreeFrom(paths[0][0], paths[0], term, loadId);
+        } else {
+            await renderTreeFrom({ id: term.id, name: term.name }, [], term, loadId);
+        }
+    } catch (error) {
+        console.warn('Error loading ontology tree:', error);
+        if (loadId !== AppState.tree.loadId) return;
+        DOM.modal.breadcrumbs.innerHTML = '';
+        DOM.modal.tree.innerHTML = '<li><em>Unable to load the ontology tree</em></li>';
+    }
+}
+
+/**
+ * Collect every path from the top of the hierarchy down to a term
+ * The "All" root is left out; at most TREE_CONFIG.MAX_PATHS paths are returned
+ * @param {Object} term - Term with id and name
+ * @returns {Promise<Array<Array>>} Promise resolving to paths of { id, name } records, top first
+ */
+async function fetchRootPaths(term) {
+    const paths = [];
+    
+    const walkUp = async (node, below) => {
+        if (paths.length >= TREE_CONFIG.MAX_PATHS) return;
+        
+        const parents = (await fetchTermParents(node.id))
+            .filter(parent => parent.id !== ONTOLOGY_ROOTS.ALL);
+        
+        if (parents.length === 0) {
+            paths.push([node, ...below]);
+            return;
+        }
+        
+        for (const parent of parents) {
+            await walkUp(parent, [node, ...below]);
+        }
+    };
+    
+    await walkUp({ id: term.id, name: term.name }, []);
+    return paths;
+}
+
+/**
+ * Render the root-to-term paths as clickable breadcrumbs
+ * Clicking a crumb re-roots the tree at that node, expanded towards the current term
+ * @param {Array<Array>} paths - Paths from fetchRootPaths
+ * @param {Object} term - Term shown in the modal
+ */
+function renderBreadcrumbs(paths, term) {
+    DOM.modal.breadcrumbs.innerHTML = '';
+    
+    paths.forEach(path => {
+        const ol = document.createElement('ol');
+        ol.className = 'breadcrumb';
+        
+        path.forEach((node, index) => {
             const li = document.createElement('li');
-            li.textContent = disease;
-            DOM.modal.diseases.appendChild(li);
+            const crumb = document.createElement('button');
+            crumb.className = 'breadcrumb-link';
+            crumb.textContent = node.name;
+            crumb.title = node.id;
+            crumb.addEventListener('click', () => renderTreeFrom(node, path.slice(index), term));
+            
+            li.appendChild(crumb);
+            ol.appendChild(li);
         });
-    } else {
-        DOM.modal.diseases.innerHTML = '<li>No associated diseases found</li>';
+        
+        DOM.modal.breadcrumbs.appendChild(ol);
+    });
+}
+
+/**
+ * Render the tree starting at a node, expanding along a path to the current term
+ * @param {Object} rootNode - Node at the top of the tree
+ * @param {Array} expandPath - Path from rootNode to the current term, or empty to expand only the root
+ * @param {Object} term - Term shown in the modal, highlighted in the tree
+ * @param {number} [loadId] - Tree load this render belongs to; a new load starts when omitted
+ */
+async function renderTreeFrom(rootNode, expandPath, term, loadId = ++AppState.tree.loadId) {
+    const isCurrent = () => loadId === AppState.tree.loadId;
+    DOM.modal.tree.innerHTML = '';
+    
+    let node = createTreeNode(rootNode, term);
+    DOM.modal.tree.appendChild(node);
+    await expandTreeNode(node);
+    if (!isCurrent()) return;
+    
+    for (const step of expandPath.slice(1)) {
+        node = node.querySelector(`:scope > ul > li[data-id="${step.id}"]`);
+        if (!node) break;
+        await expandTreeNode(node);
+        if (!isCurrent()) return;
+    }
+    
+    if (node) node.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Create a collapsed tree node with expand, details and add actions
+ * @param {Object} item - Node term with id and name
+ * @param {Object} term - Term shown in the modal, highlighted in the tree
+ * @returns {HTMLLIElement} Tree item element
+ */
+function createTreeNode(item, term) {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'treeitem');
+    li.setAttribute('aria-expanded', 'false');
+    li.dataset.id = item.id;
+    
+    const row = document.createElement('div');
+    row.className = item.id === term.id ? 'tree-node current' : 'tree-node';
+    
+    const toggle = document.createElement('button');
+    toggle.className = 'tree-toggle';
+    toggle.setAttribute('aria-label', `Expand ${item.name}`);
+    toggle.innerHTML = '<i class="fas fa-caret-right" aria-hidden="true"></i>';
+    toggle.addEventListener('click', () => toggleTreeNode(li));
+    
+    const label = document.createElement('span');
+    label.className = 'tree-label';
+    label.textContent = `${item.name} (${item.id})`;
+    
+    const infoButton = createActionButton('info-circle', () => showTermDetailsModal(item), `View details of ${item.name}`);
+    const addButton = createActionButton('plus-circle', () => addTermToSelection(item), `Add ${item.name} to selection`);
+    
+    const group = document.createElement('ul');
+    group.setAttribute('role', 'group');
+    group.hidden = true;
+    
+    row.append(toggle, label, infoButton, addButton);
+    li.append(row, group);
+    return li;
+}
+
+/**
+ * Expand or collapse a tree node
+ * @param {HTMLLIElement} li - Tree item element
+ */
+function toggleTreeNode(li) {
+    if (li.getAttribute('aria-expanded') === 'true') {
+        li.setAttribute('aria-expanded', 'false');
+        li.querySelector(':scope > ul').hidden = true;
+        return;
+    }
+    
+    expandTreeNode(li);
+}
+
+/**
+ * Expand a tree node, loading its children the first time
+ * @param {HTMLLIElement} li - Tree item element
+ */
+async function expandTreeNode(li) {
+    const group = li.querySelector(':scope > ul');
+    const toggle = li.querySelector(':scope > .tree-node > .tree-toggle');
+    
+    if (!li.dataset.loaded) {
+        group.innerHTML = '<li><em>Loading...</em></li>';
+        group.hidden = false;
+        
+        try {
+            const children = await fetchTermChildren(li.dataset.id);
+            const term = AppState.currentTerm || {};
+            
+            group.innerHTML = '';
+            children
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(child => group.appendChild(createTreeNode(child, term)));
+            li.dataset.loaded = 'true';
+            
+            if (children.length === 0) {
+                toggle.disabled = true;
+                li.removeAttribute('aria-expanded');
+                return;
+            }
+        } catch (error) {
+            console.warn('Error loading child terms of', li.dataset.id, error);
+            group.innerHTML = '<li><em>Unable to load child terms</em></li>';
+            return;
+        }
+    }
+    
+    li.setAttribute('aria-expanded', 'true');
+    group.hidden = false;
+}
+
+// =============================================================================
+// SELECTION MANAGEMENT
+// =============================================================================
+
+/**
+ * Add term to selection if not already present
+ * @param {Object} term - Term object to add to selection
+ */
+function addTermToSelection(term) {
+    addTermsToSelection([term]);
+}
+
+/**
+ * Add several terms to the selection, rendering and saving it once
+ * Terms that are already selected are left as they are
+ * @param {Array} terms - Term objects to add
+ * @returns {Set<string>} IDs of the terms that were actually added
+ */
+function addTermsToSelection(terms) {
+    const added = [];
+    
+    terms.forEach(term => {
+        if (AppState.selectedTerms.some(selected => selected.id === term.id)) return;
+        
+        // Store a copy so the observed/excluded status stays with the selection
+        const copy = { ...term, excluded: Boolean(term.excluded) };
+        AppState.selectedTerms.push(copy);
+        added.push(copy);
+    });
+    
+    if (added.length > 0) {
+        recordTermUsage(added);
+        renderSelectionList();
+        updateExportButtonState();
+    }
+    
+    return new Set(added.map(term => term.id));
+}
+
+/**
+ * Toggle a selected term between observed and excluded
+ * @param {string} termId - ID of term to toggle
+ */
+function toggleTermExclusion(termId) {
+    const term = AppState.selectedTerms.find(selected => selected.id === termId);
+    if (!term) return;
+    
+    term.excluded = !term.excluded;
+    renderSelectionList();
+}
+
+/**
+ * Remove term from selection by ID
+ * @param {string} termId - ID of term to remove
+ */
+function removeTermFromSelection(termId) {
+    AppState.selectedTerms = AppState.selectedTerms.filter(term => term.id !== termId);
+    renderSelectionList();
+    updateExportButtonState();
+}
+
+/**
+ * Clear all selections
+ */
+function clearAllSelections() {
+    AppState.selectedTerms = [];
+    renderSelectionList();
+    updateExportButtonState();
+}
+
+/**
+ * Clear the selection after confirmation, since the selection is the saved case
+ */
+function confirmClearAllSelections() {
+    if (AppState.selectedTerms.length === 0) return;
+    
+    if (confirm(`Remove all ${AppState.selectedTerms.length} selected terms?`)) {
+        clearAllSelections();
     }
+}
+
+/**
+ * Render the selection list in the UI
+ */
+function renderSelectionList() {
+    // Every selection change passes through here, so save the case as well
+    persistWorkingState();
+    
+    const excludedCount = AppState.selectedTerms.filter(term => term.excluded).length;
+    const observedCount = AppState.selectedTerms.length - excludedCount;
     
-    // ensure copy button is wired even if there are 0 items
-    setupDiseaseCopyFunctionality();
+    DOM.selection.list.innerHTML = '';
+    DOM.selection.count.textContent = excludedCount > 0 ?
+        `${observedCount} observed, ${excludedCount} excluded` :
+        `${AppState.selectedTerms.length} terms`;
+    
+    refreshRedundancy();
+    
+    if (AppState.selectedTerms.length === 0) {
+        DOM.selection.list.innerHTML = UI_STATES.EMPTY_SELECTION.html;
+        return;
+    }
+    
+    AppState.selectedTerms.forEach(term => {
+        const listItem = createSelectionListItem(term);
+        DOM.selection.list.appendChild(listItem);
+    });
+    DOM.selection.list.firstElementChild.tabIndex = 0;
+    
+    applyRedundancyFlags();
+}
+
+/**
+ * Create a list item for the selection list
+ * @param {Object} term - Term object to create item for
+ * @returns {HTMLLIElement} Configured list item
+ */
+function createSelectionListItem(term) {
+    const li = document.createElement('li');
+    li.className = term.excluded ? 'selected-item excluded' : 'selected-item';
+    li.dataset.id = term.id;
+    li.tabIndex = -1;
+    li.title = 'Delete to remove, X to toggle excluded';
+    li.innerHTML = `
+        <div>
+            <strong>${escapeHTML(term.name)}</strong>
+            ${renderTranslatedLabel(term.id)}
+            <div>${escapeHTML(term.id)} <span class="redundant-badge" hidden>Redundant</span></div>
+            <div class="modifier-badges"></div>
+        </div>
+        <div class="selected-item-actions">
+            <button class="modifier-btn" title="Edit onset, severity, frequency, laterality and note"
+                    aria-expanded="false">
+                <i class="fas fa-sliders-h" aria-hidden="true"></i><span class="sr-only">Edit modifiers of ${escapeHTML(term.name)}</span>
+            </button>
+            <button class="status-btn" data-id="${term.id}"
+                    title="${term.excluded ? 'Excluded - click to mark as observed' : 'Observed - click to mark as excluded'}">
+                ${term.excluded ? '<i class="fas fa-ban"></i> Excluded' : '<i class="fas fa-check"></i> Observed'}
+            </button>
+            <button class="remove-btn" data-id="${term.id}">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `;
+    
+    const statusButton = li.querySelector('.status-btn');
+    statusButton.addEventListener('click', () => toggleTermExclusion(term.id));
+    
+    const removeButton = li.querySelector('.remove-btn');
+    removeButton.addEventListener('click', () => removeTermFromSelection(term.id));
+    
+    const editor = createModifierEditor(term, li);
+    li.appendChild(editor);
+    
+    const modifierButton = li.querySelector('.modifier-btn');
+    modifierButton.addEventListener('click', () => {
+        editor.hidden = !editor.hidden;
+        modifierButton.setAttribute('aria-expanded', String(!editor.hidden));
+        if (!editor.hidden) editor.querySelector('select').focus();
+    });
+    
+    renderModifierBadges(li.querySelector('.modifier-badges'), term);
+    
+    return li;
+}
+
+/**
+ * Update export button state based on selection
+ */
+function updateExportButtonState() {
+    const isEmpty = AppState.selectedTerms.length === 0;
+    DOM.selection.exportBtn.disabled = isEmpty;
+    DOM.selection.shareBtn.disabled = isEmpty;
+    DOM.genePanel.openBtn.disabled = isEmpty;
+    DOM.differential.openBtn.disabled = isEmpty;
+    DOM.compare.openBtn.disabled = isEmpty;
+}
+
+// =============================================================================
+// CLINICAL MODIFIERS
+// =============================================================================
+
+/**
+ * Look up a modifier option by its HPO ID
+ * @param {string} key - Modifier key in TERM_MODIFIERS
+ * @param {string} id - HPO ID of the option
+ * @returns {Object|undefined} Option with id and name
+ */
+function getModifierOption(key, id) {
+    return TERM_MODIFIERS[key].options.find(option => option.id === id);
+}
+
+/**
+ * Create the inline editor for a selected term's modifiers and note
+ * @param {Object} term - Selected term (edited in place)
+ * @param {HTMLLIElement} listItem - Selection list item holding the badges
+ * @returns {HTMLDivElement} Editor element, hidden until opened
+ */
+function createModifierEditor(term, listItem) {
+    const editor = document.createElement('div');
+    editor.className = 'modifier-editor';
+    editor.hidden = true;
+    
+    const selects = Object.entries(TERM_MODIFIERS).map(([key, modifier]) => `
+        <label>
+            ${modifier.label}
+            <select data-modifier="${key}">
+                <option value="">&mdash;</option>
+                ${modifier.options.map(option => `
+                    <option value="${option.id}" ${term[key] === option.id ? 'selected' : ''}>${escapeHTML(option.name)}</option>
+                `).join('')}
+            </select>
+        </label>
+    `).join('');
+    
+    editor.innerHTML = `
+        ${selects}
+        <label class="modifier-note">
+            Note
+            <input type="text" data-modifier="note" placeholder="Free-text note">
+        </label>
+    `;
+    
+    // Set as a property so quotes in the note cannot break out of the attribute
+    editor.querySelector('[data-modifier="note"]').value = term.note || '';
+    
+    editor.querySelectorAll('[data-modifier]').forEach(field => {
+        const eventName = field.tagName === 'SELECT' ? 'change' : 'input';
+        field.addEventListener(eventName, () => {
+            setTermModifier(term, field.dataset.modifier, field.value);
+            renderModifierBadges(listItem.querySelector('.modifier-badges'), term);
+        });
+    });
+    
+    return editor;
+}
+
+/**
+ * Set or clear one modifier (or the note) of a selected term and save the case.
+ * Updates in place rather than re-rendering so the open editor keeps focus.
+ * @param {Object} term - Selected term
+ * @param {string} key - Modifier key, or 'note'
+ * @param {string} value - HPO ID or note text; empty clears it
+ */
+function setTermModifier(term, key, value) {
+    const trimmed = value.trim();
+    
+    if (trimmed) {
+        term[key] = key === 'note' ? value : trimmed;
+    } else {
+        delete term[key];
+    }
+    
+    persistWorkingState();
+}
+
+/**
+ * Show a selected term's modifiers and note as badges
+ * @param {HTMLElement} container - Badge container in the list item
+ * @param {Object} term - Selected term
+ */
+function renderModifierBadges(container, term) {
+    const badges = Object.entries(TERM_MODIFIERS)
+        .filter(([key]) => term[key] && getModifierOption(key, term[key]))
+        .map(([key, modifier]) => {
+            const option = getModifierOption(key, term[key]);
+            return `<span class="modifier-badge" title="${modifier.label}: ${option.id}">${escapeHTML(option.name)}</span>`;
+        });
+    
+    container.innerHTML = badges.join('');
+    
+    if (term.note) {
+        const noteBadge = document.createElement('span');
+        noteBadge.className = 'modifier-badge note-badge';
+        noteBadge.title = term.note;
+        noteBadge.innerHTML = `<i class="fas fa-sticky-note" aria-hidden="true"></i> ${escapeHTML(term.note)}`;
+        container.appendChild(noteBadge);
+    }
+}
+
+/**
+ * Format a term's modifiers as extra TXT columns ("onset=HP:0003593", "note=...").
+ * Plain terms produce no columns, so files without modifiers keep the two-column layout.
+ * @param {Object} term - Selected term
+ * @returns {Array<string>} Extra columns
+ */
+function formatModifierColumns(term) {
+    const columns = Object.keys(TERM_MODIFIERS)
+        .filter(key => term[key])
+        .map(key => `${key}=${term[key]}`);
+    
+    if (term.note) columns.push(`note=${term.note.replace(/\s+/g, ' ').trim()}`);
+    
+    return columns;
+}
+
+/**
+ * Read modifiers back from the extra columns of an exported TXT line
+ * @param {Array<string>} columns - Columns after the term ID
+ * @returns {Object} Modifier values keyed like the term properties; unknown columns are ignored
+ */
+function parseModifierColumns(columns) {
+    const modifiers = {};
+    
+    columns.forEach(column => {
+        const separator = column.indexOf('=');
+        if (separator === -1) return;
+        
+        const key = column.slice(0, separator).trim();
+        const value = column.slice(separator + 1).trim();
+        
+        if (key === 'note' && value) {
+            modifiers.note = value;
+        } else if (TERM_MODIFIERS[key] && getModifierOption(key, value)) {
+            modifiers[key] = value;
+        }
+    });
+    
+    return modifiers;
+}
+
+/**
+ * Describe a term's modifiers as Phenopacket PhenotypicFeature fields.
+ * Onset and severity have their own fields; frequency and laterality go in "modifiers".
+ * @param {Object} term - Selected term
+ * @returns {Object} Fields to merge into the phenotypic feature
+ */
+function buildPhenopacketModifiers(term) {
+    const toOntologyClass = (key) => {
+        const option = getModifierOption(key, term[key]);
+        return option ? { id: option.id, label: option.name } : null;
+    };
+    
+    const onset = term.onset && toOntologyClass('onset');
+    const severity = term.severity && toOntologyClass('severity');
+    const modifiers = ['frequency', 'laterality']
+        .map(key => term[key] && toOntologyClass(key))
+        .filter(Boolean);
+    
+    return {
+        ...(term.note && { description: term.note }),
+        ...(severity && { severity }),
+        ...(modifiers.length > 0 && { modifiers }),
+        ...(onset && { onset: { ontologyClass: onset } })
+    };
+}
+
+// =============================================================================
+// REDUNDANCY DETECTION
+// =============================================================================
+
+/**
+ * Start a redundancy check for the current selection
+ * Only the most recently started check updates the UI
+ * @returns {Promise<Map>} Promise resolving to the redundant terms of this selection
+ */
+function refreshRedundancy() {
+    const check = findRedundantTerms([...AppState.selectedTerms]).then(redundant => {
+        if (AppState.redundancy.check === check) {
+            AppState.redundancy.byTermId = redundant;
+            applyRedundancyFlags();
+        }
+        return redundant;
+    });
+    
+    AppState.redundancy.check = check;
+    return check;
+}
+
+/**
+ * Find selected terms that add no information given another selected term
+ * An observed ancestor of an observed term is implied by the more specific term;
+ * an excluded descendant of an excluded term is implied by the broader exclusion
+ * @param {Array} terms - Selected term objects
+ * @returns {Promise<Map>} Promise resolving to a map of redundant term ID to the term that implies it
+ */
+async function findRedundantTerms(terms) {
+    const redundant = new Map();
+    if (terms.length < 2) return redundant;
+    
+    const ancestorSets = await Promise.all(terms.map(term =>
+        fetchTermAncestors(term.id).catch(error => {
+            console.warn('Could not walk ancestors of', term.id, error);
+            return new Map();
+        })
+    ));
+    
+    terms.forEach((descendant, index) => {
+        terms.forEach(ancestor => {
+            if (ancestor.excluded !== descendant.excluded || !ancestorSets[index].has(ancestor.id)) return;
+            
+            if (descendant.excluded) {
+                redundant.set(descendant.id, { term: ancestor, reason: `implied by excluded ancestor ${ancestor.name}` });
+            } else {
+                redundant.set(ancestor.id, { term: descendant, reason: `ancestor of ${descendant.name}` });
+            }
+        });
+    });
+    
+    return redundant;
+}
+
+/**
+ * Mark redundant items in the rendered selection list and update the cleanup notice
+ */
+function applyRedundancyFlags() {
+    const redundant = AppState.redundancy.byTermId;
+    
+    DOM.selection.list.querySelectorAll('.selected-item').forEach(li => {
+        const entry = redundant.get(li.dataset.id);
+        const badge = li.querySelector('.redundant-badge');
+        
+        li.classList.toggle('redundant', Boolean(entry));
+        badge.hidden = !entry;
+        badge.title = entry ? `Redundant: ${entry.reason}` : '';
+    });
+    
+    DOM.selection.redundancyNotice.hidden = redundant.size === 0;
+    DOM.selection.redundancyText.textContent =
+        `${redundant.size} redundant term${redundant.size === 1 ? '' : 's'} in the selection.`;
+}
+
+/**
+ * Remove every redundant term, keeping only the most specific observations
+ */
+async function keepMostSpecificTerms() {
+    const redundant = await AppState.redundancy.check;
+    if (!redundant || redundant.size === 0) return;
+    
+    AppState.selectedTerms = AppState.selectedTerms.filter(term => !redundant.has(term.id));
+    renderSelectionList();
+    updateExportButtonState();
+}
+
+/**
+ * Ask before exporting a selection that still contains redundant terms
+ * @returns {Promise<boolean>} Promise resolving to true when the export should go ahead
+ */
+async function confirmRedundancyBeforeExport() {
+    const redundant = await AppState.redundancy.check;
+    if (!redundant || redundant.size === 0) return true;
+    
+    const details = AppState.selectedTerms
+        .filter(term => redundant.has(term.id))
+        .map(term => `- ${term.name} (${term.id}): ${redundant.get(term.id).reason}`)
+        .join('\n');
+    
+    return confirm(`The selection still contains redundant terms:\n${details}\n\nExport anyway?`);
+}
+
+// =============================================================================
+// API INTEGRATION FUNCTIONS
+// =============================================================================
+
+/**
+ * Fetch term definition through the active data provider
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<string>} Promise resolving to definition string
+ */
+async function fetchTermDefinition(hpId) {
+    const definition = await fetchDefinitionText(hpId);
+    if (definition === null) return 'Definition not available';
+    
+    return definition || 'No definition available';
+}
+
+/**
+ * Fetch the raw definition of an HPO term
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<string|null>} Definition, an empty string when the term has none,
+ *   or null when it could not be fetched
+ */
+async function fetchDefinitionText(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) return localTerm.definition || '';
+    
+    try {
+        const term = await queryDataProvider('term', hpId);
+        return term ? term.definition || '' : null;
+    } catch (error) {
+        console.warn('Failed to fetch definition for', hpId, error);
+    }
+    
+    return null;
+}
+
+/**
+ * Fetch term synonyms through the active data provider
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Array>} Promise resolving to synonyms array
+ */
+async function fetchTermSynonyms(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) return localTerm.synonyms;
+    
+    try {
+        const term = await queryDataProvider('term', hpId);
+        return term ? term.synonyms : [];
+    } catch (error) {
+        console.warn('Failed to fetch synonyms for', hpId, error);
+    }
+    
+    return [];
+}
+
+/**
+ * Fetch the current ID and name of a term, used to check that stored IDs still resolve
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object|null>} Promise resolving to { id, name }, or null if the term is unknown or obsolete
+ * @throws {Error} When the API cannot be reached
+ */
+async function fetchTermRecord(hpId) {
+    if (AppState.ontology) {
+        const localTerm = getLocalTerm(hpId);
+        return localTerm && !localTerm.obsolete ? { id: localTerm.id, name: localTerm.name } : null;
+    }
+    
+    const term = await queryDataProvider('term', hpId);
+    return term ? { id: term.id, name: term.name } : null;
+}
+
+/**
+ * Fetch a term with its annotations and direct relatives through the active data provider
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object>} Promise resolving to annotation data object
+ */
+async function fetchTermDetails(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) return fetchLocalAnnotations(localTerm);
+
+    try {
+        const [annotations, term, parents, children] = await Promise.all([
+            queryDataProvider('annotations', hpId),
+            queryDataProvider('term', hpId),
+            queryDataProvider('parents', hpId),
+            queryDataProvider('children', hpId)
+        ]);
+        
+        return {
+            definition: (term && term.definition) || 'No definition available',
+            synonyms: term ? term.synonyms.filter(Boolean) : [],
+            genes: annotations.genes,
+            diseases: annotations.diseases,
+            parents,
+            children
+        };
+    } catch (error) {
+        console.warn('Annotation fetch failed for', hpId, error);
+    }
+    
+    // Return empty data structure on failure
+    return {
+        definition: [],
+        synonyms: [],
+        genes: [],
+        diseases: [],
+        parents: [],
+        children: []
+    };
+}
+
+/**
+ * Fetch only the gene and disease annotations of a term
+ * Annotation sets include genes and diseases annotated to descendant terms
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object>} Promise resolving to { genes, diseases } of { id, name } records
+ * @throws {Error} When the annotations cannot be fetched
+ */
+function fetchTermAnnotations(hpId) {
+    return queryDataProvider('annotations', hpId);
+}
+
+/**
+ * Fetch the direct parents of a term, from the offline ontology when loaded
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Array>} Promise resolving to { id, name } parent records
+ */
+async function fetchTermParents(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) return localTerm.parents.map(toLocalRelation);
+    
+    return queryDataProvider('parents', hpId);
+}
+
+/**
+ * Fetch the direct children of a term, from the offline ontology when loaded
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Array>} Promise resolving to { id, name } child records
+ */
+async function fetchTermChildren(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) return localTerm.children.map(toLocalRelation);
+    
+    return queryDataProvider('children', hpId);
+}
+
+/**
+ * Reduce a JAX parents/children/descendants response to { id, name } records
+ * @param {Array} terms - Related terms from the API
+ * @returns {Array} Relation records
+ */
+function toRelationRecords(terms) {
+    return Array.isArray(terms) ? terms.map(t => ({ id: t.id, name: t.name })) : [];
+}
+
+/**
+ * Reduce JAX gene or disease annotations to { id, name } records
+ * Records without an ID are dropped; a missing name falls back to the ID
+ * @param {Array} annotations - Genes or diseases from the annotations API
+ * @returns {Array} Annotation records
+ */
+function toAnnotationRecords(annotations) {
+    return Array.isArray(annotations) ?
+        annotations.filter(a => a && a.id).map(a => ({ id: a.id, name: a.name || a.id })) : [];
+}
+
+/**
+ * Turn a related term ID from the offline ontology into an { id, name } record
+ * @param {string} id - HPO term ID
+ * @returns {Object} Relation record
+ */
+function toLocalRelation(id) {
+    const related = getLocalTerm(id);
+    return { id, name: related ? related.name : id };
+}
+
+/**
+ * Fetch the IDs of every descendant of a term, from the offline ontology when loaded
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Array<string>>} Promise resolving to descendant IDs (the term itself excluded)
+ */
+async function fetchTermDescendants(hpId) {
+    const localTerm = getLocalTerm(hpId);
+    if (localTerm) {
+        const descendants = new Set();
+        let frontier = localTerm.children;
+        
+        while (frontier.length > 0) {
+            frontier = frontier.filter(id => !descendants.has(id));
+            frontier.forEach(id => descendants.add(id));
+            frontier = frontier.flatMap(id => getLocalTerm(id)?.children || []);
+        }
+        
+        return Array.from(descendants);
+    }
+    
+    return queryDataProvider('descendants', hpId);
+}
+
+/**
+ * Walk parent links transitively to collect every ancestor of a term
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Map>} Promise resolving to a map of ancestor ID to name (the term itself excluded)
+ */
+async function fetchTermAncestors(hpId) {
+    const ancestors = new Map();
+    let frontier = [hpId];
+    
+    while (frontier.length > 0) {
+        const parentLists = await Promise.all(frontier.map(fetchTermParents));
+        frontier = [];
+        
+        parentLists.flat().forEach(({ id, name }) => {
+            if (id === hpId || ancestors.has(id)) return;
+            ancestors.set(id, name);
+            frontier.push(id);
+        });
+    }
+    
+    return ancestors;
+}
+
+/**
+ * Build annotation data for a term from the offline ontology
+ * Parents, children, definition and synonyms come from the loaded release;
+ * genes and diseases are only available when the JAX API is reachable
+ * @param {Object} localTerm - Term record from the loaded ontology
+ * @returns {Promise<Object>} Promise resolving to annotation data object
+ */
+async function fetchLocalAnnotations(localTerm) {
+    const result = {
+        definition: localTerm.definition || 'No definition available',
+        synonyms: localTerm.synonyms,
+        genes: [],
+        diseases: [],
+        parents: localTerm.parents.map(toLocalRelation),
+        children: localTerm.children.map(toLocalRelation)
+    };
+
+    try {
+        const { genes, diseases } = await fetchTermAnnotations(localTerm.id);
+        result.genes = genes;
+        result.diseases = diseases;
+    } catch (error) {
+        console.warn('Annotations unavailable offline for', localTerm.id, error);
+    }
+
+    return result;
+}
+
+// =============================================================================
+// DATA PROVIDERS
+// =============================================================================
+
+/**
+ * Read the chosen data provider and base URLs from localStorage
+ */
+function loadProviderSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_CONFIG.PROVIDER_KEY));
+        if (saved && DATA_PROVIDERS.some(provider => provider.id === saved.id)) {
+            AppState.dataProvider = { id: saved.id, baseUrls: saved.baseUrls || {} };
+        }
+    } catch (error) {
+        console.warn('Could not read data provider settings:', error);
+    }
+}
+
+/**
+ * Get the active data provider
+ * @returns {Object} Entry of DATA_PROVIDERS
+ */
+function getDataProvider() {
+    return DATA_PROVIDERS.find(provider => provider.id === AppState.dataProvider.id) || DATA_PROVIDERS[0];
+}
+
+/**
+ * Get the base URL configured for a provider, without a trailing slash
+ * @param {Object} provider - Entry of DATA_PROVIDERS
+ * @returns {string} Base URL
+ */
+function getProviderBaseUrl(provider) {
+    return (AppState.dataProvider.baseUrls[provider.id] || provider.defaultBaseUrl).replace(/\/+$/, '');
+}
+
+/**
+ * Call a method of the active data provider with its configured base URL
+ * @param {string} method - 'search', 'term', 'parents', 'children', 'descendants' or 'annotations'
+ * @param {...*} args - Method arguments after the base URL
+ * @returns {Promise<*>} Promise resolving to the method's result
+ */
+function queryDataProvider(method, ...args) {
+    const provider = getDataProvider();
+    return provider[method](getProviderBaseUrl(provider), ...args);
+}
+
+/**
+ * Search the NIH Clinical Tables HPO API
+ * The search endpoint is public and fixed; the base URL only applies to the JAX calls
+ * @param {string} baseUrl - JAX API base URL (unused)
+ * @param {string} query - Search term from user input
+ * @param {number} [offset=0] - Index of the first match to return
+ * @returns {Promise<Object>} Promise resolving to { terms, consumed, total }
+ */
+async function searchClinicalTables(baseUrl, query, offset = 0) {
+    const data = await fetchJSON(API_CONFIG.HPO_SEARCH(query, offset));
+    const terms = processSearchResults(data[3] || []); // Results are in the 4th array element
+    return { terms, consumed: terms.length, total: Math.max(Number(data[0]) || 0, offset + terms.length) };
+}
+
+/**
+ * Fetch a term from the JAX ontology API
+ * @param {string} baseUrl - JAX API base URL
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object|null>} Promise resolving to { id, name, definition, synonyms }, or null if unknown
+ */
+async function fetchJAXTerm(baseUrl, hpId) {
+    let data;
+    try {
+        data = await fetchJSON(API_CONFIG.JAX_TERM(baseUrl, hpId));
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+    
+    return data && data.name ? {
+        id: data.id || hpId,
+        name: data.name,
+        definition: data.definition || '',
+        synonyms: Array.isArray(data.synonyms) ? data.synonyms : []
+    } : null;
+}
+
+/**
+ * Fetch the gene and disease annotations of a term from the JAX network API
+ * @param {string} baseUrl - JAX API base URL
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object>} Promise resolving to { genes, diseases } of { id, name } records
+ */
+async function fetchJAXAnnotationRecords(baseUrl, hpId) {
+    const annotations = await fetchJSON(API_CONFIG.JAX_ANNOTATIONS(baseUrl, hpId));
+    return {
+        genes: toAnnotationRecords(annotations.genes),
+        diseases: toAnnotationRecords(annotations.diseases)
+    };
+}
+
+/**
+ * Search HPO classes in an OLS4 instance
+ * Classes imported into HPO from other ontologies are left out
+ * @param {string} baseUrl - OLS base URL
+ * @param {string} query - Search term from user input
+ * @param {number} [offset=0] - Index of the first match to return
+ * @returns {Promise<Object>} Promise resolving to { terms, consumed, total }; consumed also counts
+ *     the non-HP classes, because OLS pages through all matching documents
+ */
+async function searchOLS(baseUrl, query, offset = 0) {
+    const data = await fetchJSON(API_CONFIG.OLS_SEARCH(baseUrl, query, offset));
+    const docs = (data.response && data.response.docs) || [];
+    
+    const terms = docs
+        .filter(doc => /^HP:\d{7}$/.test(doc.obo_id || ''))
+        .map(doc => ({
+            id: doc.obo_id,
+            name: doc.label || '',
+            definition: (doc.description || [])[0] || '',
+            synonyms: doc.synonym || []
+        }));
+    
+    return {
+        terms,
+        consumed: docs.length,
+        total: Math.max(Number(data.response && data.response.numFound) || 0, offset + docs.length)
+    };
+}
+
+/**
+ * Fetch the HPO release loaded into an OLS4 instance
+ * @param {string} baseUrl - OLS base URL
+ * @returns {Promise<string|null>} Promise resolving to the release label, or null when OLS does not say
+ */
+async function fetchOLSReleaseVersion(baseUrl) {
+    const data = await fetchJSON(API_CONFIG.OLS_ONTOLOGY(baseUrl));
+    const config = data.config || {};
+    const version = config.versionIri || config.version || data.version;
+    return version ? formatReleaseVersion(version) : null;
+}
+
+/**
+ * Fetch a term from an OLS4 instance
+ * @param {string} baseUrl - OLS base URL
+ * @param {string} hpId - HPO term ID
+ * @returns {Promise<Object|null>} Promise resolving to { id, name, definition, synonyms }, or null if unknown or obsolete
+ */
+async function fetchOLSTerm(baseUrl, hpId) {
+    let data;
+    try {
+        data = await fetchJSON(API_CONFIG.OLS_TERM(baseUrl, hpId));
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+    
+    if (!data || !data.label || data.is_obsolete) return null;
+    
+    return {
+        id: data.obo_id || hpId,
+        name: data.label,
+        definition: (data.description || [])[0] || '',
+        synonyms: data.synonyms || []
+    };
+}
+
+/**
+ * Fetch related HPO terms from an OLS4 instance, following every page of the response
+ * @param {string} baseUrl - OLS base URL
+ * @param {string} hpId - HPO term ID
+ * @param {string} relation - 'parents', 'children' or 'descendants'
+ * @returns {Promise<Array>} Promise resolving to { id, name } records
+ */
+async function fetchOLSRelatedTerms(baseUrl, hpId, relation) {
+    const related = [];
+    let page = 0;
+    let totalPages = 1;
+    
+    while (page < totalPages) {
+        let data;
+        try {
+            data = await fetchJSON(API_CONFIG.OLS_RELATED(baseUrl, hpId, relation, page));
+        } catch (error) {
+            // OLS answers 404 for a term without relatives of this kind
+            if (error.status === 404) break;
+            throw error;
+        }
+        
+        ((data._embedded && data._embedded.terms) || []).forEach(term => {
+            if (/^HP:\d{7}$/.test(term.obo_id || '')) related.push({ id: term.obo_id, name: term.label });
+        });
+        
+        totalPages = data.page ? data.page.totalPages : 1;
+        page++;
+    }
+    
+    return related;
+}
+
+/**
+ * Open the data source dialog showing the active provider
+ */
+function openProviderSettings() {
+    DOM.provider.select.innerHTML = DATA_PROVIDERS
+        .map(provider => `<option value="${provider.id}">${escapeHTML(provider.label)}</option>`)
+        .join('');
+    DOM.provider.select.value = getDataProvider().id;
+    
+    renderProviderFields();
+    openDialog(DOM.provider.container);
+}
+
+/**
+ * Show the description and base URL of the provider chosen in the dialog
+ */
+function renderProviderFields() {
+    const provider = DATA_PROVIDERS.find(entry => entry.id === DOM.provider.select.value);
+    
+    DOM.provider.description.textContent = provider.description;
+    DOM.provider.baseUrl.placeholder = provider.defaultBaseUrl;
+    DOM.provider.baseUrl.value = AppState.dataProvider.baseUrls[provider.id] || '';
+    DOM.provider.status.textContent = '';
+}
+
+/**
+ * Read the provider and base URL entered in the dialog
+ * @returns {Object|null} { provider, baseUrl }, or null after reporting an invalid URL
+ */
+function readProviderFields() {
+    const provider = DATA_PROVIDERS.find(entry => entry.id === DOM.provider.select.value);
+    const baseUrl = DOM.provider.baseUrl.value.trim().replace(/\/+$/, '');
+    
+    if (baseUrl && !/^https?:\/\/[^\s/]+/i.test(baseUrl)) {
+        alert(`"${baseUrl}" is not a valid http(s) URL.`);
+        return null;
+    }
+    
+    return { provider, baseUrl };
+}
+
+/**
+ * Check that the provider entered in the dialog answers, by fetching the phenotypic abnormality root
+ */
+async function testProviderConnection() {
+    const fields = readProviderFields();
+    if (!fields) return;
+    
+    const { provider, baseUrl } = fields;
+    DOM.provider.status.textContent = 'Connecting...';
+    DOM.provider.testBtn.disabled = true;
+    
+    try {
+        const term = await provider.term(baseUrl || provider.defaultBaseUrl, ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY);
+        DOM.provider.status.textContent = term ?
+            `Connected: found ${term.name} (${term.id}).` :
+            `Connected, but ${ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY} was not found. Is this an HPO endpoint?`;
+    } catch (error) {
+        console.warn('Data provider test failed:', error);
+        DOM.provider.status.textContent = `Connection failed: ${error.message}`;
+    } finally {
+        DOM.provider.testBtn.disabled = false;
+    }
+}
+
+/**
+ * Make the provider entered in the dialog the active one and reload the data shown
+ */
+function saveProviderSettings() {
+    const fields = readProviderFields();
+    if (!fields) return;
+    
+    const { provider, baseUrl } = fields;
+    const baseUrls = { ...AppState.dataProvider.baseUrls };
+    if (baseUrl && baseUrl !== provider.defaultBaseUrl) {
+        baseUrls[provider.id] = baseUrl;
+    } else {
+        delete baseUrls[provider.id];
+    }
+    
+    AppState.dataProvider = { id: provider.id, baseUrls };
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.PROVIDER_KEY, JSON.stringify(AppState.dataProvider));
+    } catch (error) {
+        console.warn('Could not save data provider settings:', error);
+    }
+    
+    closeDialog(DOM.provider.container);
+    updateOntologyStatus();
+    refreshDataSource();
+}
+
+// =============================================================================
+// API RESPONSE CACHE
+// =============================================================================
+
+/**
+ * Fetch JSON from an API endpoint through the response cache
+ * Identical concurrent requests share one network call; responses are kept in
+ * memory and IndexedDB until the configured TTL expires, so they survive reloads
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<*>} Promise resolving to the parsed JSON body
+ * @throws {Error} With a `status` property when the API answers with an error status
+ */
+function fetchJSON(url) {
+    return fetchCached(url, 'json');
+}
+
+/**
+ * Fetch a text file, such as a translation table, through the response cache
+ * @param {string} url - File URL
+ * @returns {Promise<string>} Promise resolving to the response body
+ * @throws {Error} With a `status` property when the server answers with an error status
+ */
+function fetchText(url) {
+    return fetchCached(url, 'text');
+}
+
+/**
+ * Answer a request from the cache, sharing concurrent requests, or download it
+ * @param {string} url - Request URL
+ * @param {string} bodyType - 'json' or 'text', how the response body is read
+ * @returns {Promise<*>} Promise resolving to the response body
+ */
+function fetchCached(url, bodyType) {
+    const { inFlight } = AppState.responseCache;
+    
+    if (!inFlight.has(url)) {
+        const request = readCachedResponse(url)
+            .then(cached => cached !== undefined ? cached : fetchAndCacheResponse(url, bodyType))
+            .finally(() => inFlight.delete(url));
+        inFlight.set(url, request);
+    }
+    
+    return inFlight.get(url);
+}
+
+/**
+ * Download a response and store it in the cache
+ * Failed responses are never cached
+ * @param {string} url - Request URL
+ * @param {string} bodyType - 'json' or 'text', how the response body is read
+ * @returns {Promise<*>} Promise resolving to the response body
+ */
+async function fetchAndCacheResponse(url, bodyType) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    const data = await response[bodyType]();
+    const entry = { url, data, storedAt: Date.now() };
+    
+    rememberCacheEntry(entry);
+    await writeCacheEntry(entry);
+    updateCacheStatus();
+    
+    return data;
+}
+
+/**
+ * Look a response up in memory, then in IndexedDB
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<*>} Promise resolving to the cached data, or undefined when missing or expired
+ */
+async function readCachedResponse(url) {
+    const { memory } = AppState.responseCache;
+    const entry = memory.get(url) || await readCacheEntry(url);
+    
+    if (!entry) return undefined;
+    if (Date.now() - entry.storedAt > getCacheTTL()) {
+        memory.delete(url);
+        await deleteCacheEntry(url);
+        updateCacheStatus();
+        return undefined;
+    }
+    
+    rememberCacheEntry(entry);
+    return entry.data;
+}
+
+/**
+ * Keep an entry in the in-memory cache as the most recently used one
+ * The Map keeps insertion order, so the first key is always the least recently used
+ * @param {Object} entry - { url, data, storedAt }
+ */
+function rememberCacheEntry(entry) {
+    const { memory } = AppState.responseCache;
+    
+    memory.delete(entry.url);
+    memory.set(entry.url, entry);
+    
+    while (memory.size > CACHE_CONFIG.MAX_MEMORY_ENTRIES) {
+        memory.delete(memory.keys().next().value);
+    }
+}
+
+/**
+ * Open (once) the IndexedDB database that backs the cache
+ * @returns {Promise<IDBDatabase|null>} Promise resolving to the database, or null when IndexedDB is unavailable
+ */
+function openCacheDatabase() {
+    if (!AppState.responseCache.db) {
+        AppState.responseCache.db = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(CACHE_CONFIG.DB_NAME, CACHE_CONFIG.DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_CONFIG.STORE_NAME, { keyPath: 'url' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Response cache unavailable, using memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    
+    return AppState.responseCache.db;
+}
+
+/**
+ * Run a single request against the cache object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Promise resolving to the request result, or undefined without IndexedDB
+ */
+async function runCacheRequest(mode, operation) {
+    const db = await openCacheDatabase();
+    if (!db) return undefined;
+    
+    return new Promise(resolve => {
+        const store = db.transaction(CACHE_CONFIG.STORE_NAME, mode).objectStore(CACHE_CONFIG.STORE_NAME);
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Response cache request failed:', request.error);
+            resolve(undefined);
+        };
+    });
+}
+
+/**
+ * Read a cache entry from IndexedDB
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<Object|undefined>} Promise resolving to { url, data, storedAt }
+ */
+function readCacheEntry(url) {
+    return runCacheRequest('readonly', store => store.get(url));
+}
+
+/**
+ * Delete a cache entry from IndexedDB
+ * @param {string} url - API endpoint URL
+ * @returns {Promise} Promise resolving once the entry is gone
+ */
+function deleteCacheEntry(url) {
+    return runCacheRequest('readwrite', store => store.delete(url));
+}
+
+/**
+ * Delete every IndexedDB entry older than the TTL, then refresh the entry count
+ */
+async function sweepExpiredCacheEntries() {
+    const db = await openCacheDatabase();
+    
+    if (db) {
+        const oldestFresh = Date.now() - getCacheTTL();
+        
+        await new Promise(resolve => {
+            const transaction = db.transaction(CACHE_CONFIG.STORE_NAME, 'readwrite');
+            const request = transaction.objectStore(CACHE_CONFIG.STORE_NAME).openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.storedAt < oldestFresh) cursor.delete();
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Could not remove expired cache entries:', transaction.error);
+                resolve();
+            };
+        });
+    }
+    
+    updateCacheStatus();
+}
+
+/**
+ * Write a cache entry to IndexedDB
+ * @param {Object} entry - { url, data, storedAt }
+ * @returns {Promise} Promise resolving once the entry is stored
+ */
+function writeCacheEntry(entry) {
+    return runCacheRequest('readwrite', store => store.put(entry));
+}
+
+/**
+ * Get the cache TTL in milliseconds
+ * @returns {number} Time a cached response stays fresh
+ */
+function getCacheTTL() {
+    const hours = Number(localStorage.getItem(CACHE_CONFIG.TTL_KEY)) || CACHE_CONFIG.DEFAULT_TTL_HOURS;
+    return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Remember a new TTL chosen in the cache control and drop entries it makes stale
+ */
+function handleCacheTTLChange() {
+    localStorage.setItem(CACHE_CONFIG.TTL_KEY, DOM.ontology.cacheTTL.value);
+    
+    // A shorter TTL makes more entries stale
+    sweepExpiredCacheEntries();
+}
+
+/**
+ * Drop every cached response so the next requests hit the APIs, e.g. after an HPO release
+ */
+async function clearResponseCache() {
+    AppState.responseCache.memory.clear();
+    await runCacheRequest('readwrite', store => store.clear());
+    updateCacheStatus();
+}
+
+/**
+ * Show how many responses are cached
+ */
+async function updateCacheStatus() {
+    const count = await runCacheRequest('readonly', store => store.count());
+    const entries = count !== undefined ? count : AppState.responseCache.memory.size;
+    DOM.ontology.cacheStatus.textContent = `Cache: ${entries} entr${entries === 1 ? 'y' : 'ies'}`;
+}
+
+/**
+ * Show the remembered TTL in the cache control, drop expired entries and show the entry count
+ */
+function initializeCacheControl() {
+    const hours = String(getCacheTTL() / (60 * 60 * 1000));
+    if (Array.from(DOM.ontology.cacheTTL.options).some(option => option.value === hours)) {
+        DOM.ontology.cacheTTL.value = hours;
+    }
+    sweepExpiredCacheEntries();
+}
+
+// =============================================================================
+// OFFLINE ONTOLOGY
+// =============================================================================
+
+/**
+ * Handle selection of a local hp.obo / hp.json release file
+ * @param {Event} event - Change event from the file input
+ */
+async function handleOntologyFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    updateOntologyStatus(`Loading ${file.name}...`);
+
+    try {
+        const text = await file.text();
+        installOntology(parseOntologyRelease(text, file.name), file.name);
+    } catch (error) {
+        console.error('Failed to load ontology file:', error);
+        alert(`Could not load ${file.name}: ${error.message}`);
+        updateOntologyStatus();
+    }
+
+    // Allow the same file to be selected again later
+    event.target.value = '';
+}
+
+/**
+ * Load the first available release file bundled alongside the application
+ */
+async function loadBundledOntology() {
+    updateOntologyStatus('Loading bundled HPO release...');
+
+    for (const path of OFFLINE_CONFIG.BUNDLED_PATHS) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) continue;
+
+            const text = await response.text();
+            installOntology(parseOntologyRelease(text, path), path);
+            return;
+        } catch (error) {
+            console.warn('Bundled ontology not available at', path, error);
+        }
+    }
+
+    alert(`No bundled HPO release found. Expected one of: ${OFFLINE_CONFIG.BUNDLED_PATHS.join(', ')}`);
+    updateOntologyStatus();
+}
+
+/**
+ * Discard the loaded release and go back to the live APIs
+ */
+function unloadOntology() {
+    AppState.ontology = null;
+    updateOntologyStatus();
+    refreshDataSource();
+}
+
+/**
+ * Make a parsed ontology the active data source
+ * @param {Object} ontology - Parsed ontology from parseOntologyRelease
+ * @param {string} source - File name or path the release was loaded from
+ */
+function installOntology(ontology, source) {
+    if (ontology.terms.size === 0) {
+        throw new Error('No HPO terms found in file');
+    }
+
+    ontology.source = source;
+    AppState.ontology = ontology;
+    updateOntologyStatus();
+
+    refreshDataSource();
+}
+
+/**
+ * Reload what depends on the data source after it changes
+ * Offers the new source's categories and re-runs any pending query against it
+ */
+function refreshDataSource() {
+    loadSearchScopeOptions();
+    const query = DOM.search.input.value.trim();
+    if (query) performHPOSearch(query);
+}
+
+/**
+ * Parse an HPO release in either OBO or OBO Graphs JSON format
+ * @param {string} text - Raw file contents
+ * @param {string} fileName - Name used to guess the format
+ * @returns {Object} Ontology with version, terms map and alternative ID map
+ */
+function parseOntologyRelease(text, fileName) {
+    const looksLikeJSON = /\.json$/i.test(fileName) || text.trimStart().startsWith('{');
+    const ontology = looksLikeJSON ? parseOntologyJSON(text) : parseOntologyOBO(text);
+    linkOntologyChildren(ontology.terms);
+    return ontology;
+}
+
+/**
+ * Parse an OBO 1.2/1.4 formatted release (hp.obo)
+ * @param {string} text - Raw OBO file contents
+ * @returns {Object} Ontology with version, terms map and alternative ID map
+ */
+function parseOntologyOBO(text) {
+    const terms = new Map();
+    const altIds = new Map();
+    let version = '';
+    let current = null;
+    let inTermStanza = false;
+
+    const commitCurrent = () => {
+        if (current && /^HP:\d{7}$/.test(current.id)) {
+            terms.set(current.id, current);
+            current.altIds.forEach(altId => altIds.set(altId, current.id));
+        }
+        current = null;
+    };
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('!')) return;
+
+        if (line.startsWith('[')) {
+            commitCurrent();
+            inTermStanza = line === '[Term]';
+            if (inTermStanza) current = createOntologyTerm('');
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const tag = line.slice(0, separator);
+        const value = line.slice(separator + 1).trim();
+
+        if (!inTermStanza) {
+            if (tag === 'data-version') version = value;
+            return;
+        }
+
+        switch (tag) {
+            case 'id':
+                current.id = value;
+                break;
+            case 'name':
+                current.name = value;
+                break;
+            case 'def':
+                current.definition = parseOBOQuotedValue(value);
+                break;
+            case 'synonym':
+                current.synonyms.push(parseOBOQuotedValue(value));
+                break;
+            case 'is_a':
+                current.parents.push(value.split(/\s/)[0]);
+                break;
+            case 'alt_id':
+                current.altIds.push(value);
+                break;
+            case 'is_obsolete':
+                current.obsolete = value === 'true';
+                break;
+            case 'replaced_by':
+                current.replacedBy = value;
+                break;
+        }
+    });
+    commitCurrent();
+
+    return { version: formatReleaseVersion(version), terms, altIds };
+}
+
+/**
+ * Parse an OBO Graphs JSON release (hp.json)
+ * @param {string} text - Raw JSON file contents
+ * @returns {Object} Ontology with version, terms map and alternative ID map
+ */
+function parseOntologyJSON(text) {
+    const data = JSON.parse(text);
+    const graph = Array.isArray(data.graphs) ? data.graphs[0] : null;
+    if (!graph) throw new Error('Not an OBO Graphs JSON document');
+
+    const terms = new Map();
+    const altIds = new Map();
+    const meta = graph.meta || {};
+    const versionInfo = (meta.basicPropertyValues || [])
+        .find(property => /versionInfo$/.test(property.pred));
+    const version = meta.version || (versionInfo && versionInfo.val) || '';
+
+    (graph.nodes || []).forEach(node => {
+        const id = iriToCurie(node.id);
+        if (!id || node.type === 'PROPERTY') return;
+
+        const nodeMeta = node.meta || {};
+        const term = createOntologyTerm(id);
+        term.name = node.lbl || '';
+        term.definition = nodeMeta.definition ? nodeMeta.definition.val : '';
+        term.synonyms = (nodeMeta.synonyms || []).map(synonym => synonym.val).filter(Boolean);
+        term.obsolete = Boolean(nodeMeta.deprecated);
+
+        (nodeMeta.basicPropertyValues || []).forEach(property => {
+            if (/hasAlternativeId$/.test(property.pred)) term.altIds.push(property.val);
+            if (/IAO_0100001$/.test(property.pred)) term.replacedBy = iriToCurie(property.val) || property.val;
+        });
+
+        terms.set(id, term);
+        term.altIds.forEach(altId => altIds.set(altId, id));
+    });
+
+    (graph.edges || []).forEach(edge => {
+        if (edge.pred !== 'is_a') return;
+        const child = terms.get(iriToCurie(edge.sub));
+        const parentId = iriToCurie(edge.obj);
+        if (child && parentId) child.parents.push(parentId);
+    });
+
+    return { version: formatReleaseVersion(version), terms, altIds };
+}
+
+/**
+ * Create an empty ontology term record
+ * @param {string} id - HPO term ID
+ * @returns {Object} Term record
+ */
+function createOntologyTerm(id) {
+    return {
+        id,
+        name: '',
+        definition: '',
+        synonyms: [],
+        parents: [],
+        children: [],
+        altIds: [],
+        obsolete: false,
+        replacedBy: ''
+    };
+}
+
+/**
+ * Fill in child links from the parsed is_a relations
+ * @param {Map} terms - Map of term ID to term record
+ */
+function linkOntologyChildren(terms) {
+    terms.forEach(term => {
+        term.parents.forEach(parentId => {
+            const parent = terms.get(parentId);
+            if (parent) parent.children.push(term.id);
+        });
+    });
+}
+
+/**
+ * Extract the text of an OBO quoted value such as a def or synonym line
+ * @param {string} value - Raw tag value, e.g. "Text." [PMID:1]
+ * @returns {string} Unescaped quoted text
+ */
+function parseOBOQuotedValue(value) {
+    const match = value.match(/^"((?:[^"\\]|\\.)*)"/);
+    return match ? match[1].replace(/\\(.)/g, '$1') : value;
+}
+
+/**
+ * Convert an OBO PURL such as http://purl.obolibrary.org/obo/HP_0000118 to HP:0000118
+ * @param {string} iri - Term IRI
+ * @returns {string} HPO CURIE, or an empty string for non-HPO IRIs
+ */
+function iriToCurie(iri) {
+    const match = String(iri || '').match(/HP_(\d{7})$/);
+    return match ? `HP:${match[1]}` : '';
+}
+
+/**
+ * Reduce a release IRI or data-version tag to its release label
+ * @param {string} version - e.g. http://purl.obolibrary.org/obo/hp/releases/2024-04-26/hp.json
+ * @returns {string} Release label such as 2024-04-26, or an empty string when the file has none
+ */
+function formatReleaseVersion(version) {
+    const match = String(version || '').match(/releases\/([^/]+)/);
+    return match ? match[1] : (version || '');
+}
+
+/**
+ * Look up a term in the loaded ontology, following alternative IDs
+ * @param {string} hpId - HPO term ID
+ * @returns {Object|null} Term record, or null when offline mode is off or the ID is unknown
+ */
+function getLocalTerm(hpId) {
+    if (!AppState.ontology || !hpId) return null;
+
+    const { terms, altIds } = AppState.ontology;
+    return terms.get(hpId) || terms.get(altIds.get(hpId)) || null;
+}
+
+/**
+ * Search the loaded ontology by ID, name and synonyms
+ * Every word of the query must appear in the term's ID, name or one of its synonyms
+ * @param {string} query - Search term from user input
+ * @param {Set<string>|null} [scopeIds] - When given, only these term IDs are searched
+ * @returns {Array} Term objects in the same shape as processSearchResults
+ */
+function searchLocalOntology(query, scopeIds = null) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    for (const term of AppState.ontology.terms.values()) {
+        if (term.obsolete || (scopeIds && !scopeIds.has(term.id))) continue;
+
+        const haystack = [term.id, term.name, ...term.synonyms].join(' ').toLowerCase();
+        if (words.every(word => haystack.includes(word))) {
+            results.push({
+                id: term.id,
+                name: term.name,
+                definition: term.definition,
+                synonyms: term.synonyms
+            });
+            if (results.length >= OFFLINE_CONFIG.MAX_SEARCH_RESULTS) break;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Show which data source is active
+ * @param {string} [message] - Transient message to show instead of the source
+ */
+function updateOntologyStatus(message) {
+    const { ontology } = AppState;
+
+    if (message) {
+        DOM.ontology.status.textContent = message;
+    } else if (ontology) {
+        DOM.ontology.status.textContent =
+            `Offline: HPO release ${ontology.version || 'unknown version'} (${ontology.terms.size.toLocaleString()} terms, ${ontology.source})`;
+    } else {
+        const provider = getDataProvider();
+        const baseUrl = getProviderBaseUrl(provider);
+        DOM.ontology.status.textContent = baseUrl === provider.defaultBaseUrl ?
+            `Live: ${provider.label}` :
+            `Live: ${provider.label} (${baseUrl})`;
+    }
+
+    DOM.ontology.unloadBtn.hidden = !ontology;
+}
+
+// =============================================================================
+// TRANSLATIONS AND INTERFACE LANGUAGE
+// =============================================================================
+
+/**
+ * Fill the language menu and restore the language chosen last time
+ */
+function initializeLanguage() {
+    DOM.ontology.languageSelect.innerHTML = TRANSLATION_CONFIG.LANGUAGES
+        .map(language => `<option value="${language.code}">${escapeHTML(language.label)}</option>`)
+        .join('');
+    
+    const saved = localStorage.getItem(STORAGE_CONFIG.LANGUAGE_KEY);
+    const code = TRANSLATION_CONFIG.LANGUAGES.some(language => language.code === saved) ? saved : 'en';
+    
+    DOM.ontology.languageSelect.value = code;
+    setLanguage(code);
+}
+
+/**
+ * Switch to the language chosen in the menu and remember it
+ */
+function handleLanguageChange() {
+    const code = DOM.ontology.languageSelect.value;
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.LANGUAGE_KEY, code);
+    } catch (error) {
+        console.warn('Could not save language:', error);
+    }
+    
+    setLanguage(code);
+}
+
+/**
+ * Translate the interface and load the official HPO translation of a language
+ * English shows the English labels only
+ * @param {string} code - Language code from TRANSLATION_CONFIG.LANGUAGES
+ */
+async function setLanguage(code) {
+    AppState.language = code;
+    applyUIStrings(code);
+    
+    if (code === 'en') {
+        AppState.translation = null;
+        updateTranslationStatus();
+        refreshTranslatedViews();
+    } else if (!AppState.translation || AppState.translation.language !== code) {
+        await downloadTranslation(code);
+    }
+}
+
+/**
+ * Download the official translation table of a language through the response cache
+ * A language without a published table keeps English labels; a file can still be loaded by hand
+ * @param {string} code - Language code
+ */
+async function downloadTranslation(code) {
+    const label = getLanguageLabel(code);
+    updateTranslationStatus(`Loading ${label} translation...`);
+    
+    try {
+        const translation = parseBabelonTranslations(await fetchText(TRANSLATION_CONFIG.FILE_URL(code)));
+        translation.language = code;
+        if (AppState.language !== code) return;
+        installTranslation(translation);
+    } catch (error) {
+        console.warn('Could not download the translation for', code, error);
+        if (AppState.language !== code) return;
+        
+        AppState.translation = null;
+        updateTranslationStatus(`No ${label} translation could be downloaded; use Load Translation to pick a file`);
+        refreshTranslatedViews();
+    }
+}
+
+/**
+ * Load a translation table chosen by the user
+ * @param {Event} event - File input change event
+ */
+async function handleTranslationFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        installTranslation(parseBabelonTranslations(await file.text()));
+    } catch (error) {
+        console.error('Failed to load translation file:', error);
+        alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    
+    // Allow the same file to be selected again later
+    event.target.value = '';
+}
+
+/**
+ * Parse an HPO translation table in Babelon TSV format
+ * Rows carry subject_id, predicate_id (rdfs:label, IAO:0000115 or a synonym property),
+ * source_value (the English text) and translation_value; other columns are ignored
+ * @param {string} text - Table contents
+ * @returns {Object} { language, terms } where language is a known code or 'und' and terms maps
+ *     an HPO ID to { name, englishName, definition, synonyms }
+ * @throws {Error} When the table has no Babelon columns or no translated labels
+ */
+function parseBabelonTranslations(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = (lines.shift() || '').split('\t').map(column => column.trim());
+    const column = (name) => header.indexOf(name);
+    const [idColumn, predicateColumn, sourceColumn, valueColumn, languageColumn] =
+        ['subject_id', 'predicate_id', 'source_value', 'translation_value', 'translation_language'].map(column);
+    
+    if (idColumn < 0 || predicateColumn < 0 || valueColumn < 0) {
+        throw new Error('Not a Babelon translation table (expected subject_id, predicate_id and translation_value columns)');
+    }
+    
+    const terms = new Map();
+    let language = '';
+    
+    lines.forEach(line => {
+        const cells = line.split('\t');
+        const id = (cells[idColumn] || '').trim();
+        const value = (cells[valueColumn] || '').trim();
+        if (!/^HP:\d{7}$/.test(id) || !value) return;
+        
+        language = language || toKnownLanguageCode(cells[languageColumn]);
+        if (!terms.has(id)) terms.set(id, { name: '', englishName: '', definition: '', synonyms: [] });
+        
+        const entry = terms.get(id);
+        const predicate = (cells[predicateColumn] || '').trim();
+        
+        if (predicate === TRANSLATION_CONFIG.LABEL_PREDICATE) {
+            entry.name = value;
+            entry.englishName = (cells[sourceColumn] || '').trim();
+        } else if (predicate === TRANSLATION_CONFIG.DEFINITION_PREDICATE) {
+            entry.definition = value;
+        } else if (TRANSLATION_CONFIG.SYNONYM_PREDICATE_PATTERN.test(predicate)) {
+            entry.synonyms.push(value);
+        }
+    });
+    
+    // Definitions and synonyms are only shown next to a translated label
+    terms.forEach((entry, id) => {
+        if (!entry.name) terms.delete(id);
+    });
+    
+    if (terms.size === 0) {
+        throw new Error('No translated HPO labels found');
+    }
+    
+    return { language: language || 'und', terms };
+}
+
+/**
+ * Match a table's language cell (e.g. "es" or "pt-BR") against the offered languages
+ * Only known codes are used, since the code ends up in lang attributes
+ * @param {string} [value] - translation_language cell
+ * @returns {string} Code from TRANSLATION_CONFIG.LANGUAGES, or an empty string
+ */
+function toKnownLanguageCode(value) {
+    const code = String(value || '').trim().split('-')[0].toLowerCase();
+    return TRANSLATION_CONFIG.LANGUAGES.some(language => language.code === code) ? code : '';
+}
+
+/**
+ * Make a parsed translation the active one and show it everywhere
+ * @param {Object} translation - Result of parseBabelonTranslations
+ */
+function installTranslation(translation) {
+    AppState.translation = translation;
+    updateTranslationStatus();
+    refreshTranslatedViews();
+}
+
+/**
+ * Show which translation is loaded
+ * @param {string} [message] - Transient message to show instead
+ */
+function updateTranslationStatus(message) {
+    const { translation } = AppState;
+    
+    DOM.ontology.translationStatus.textContent = message || (translation ?
+        `${getLanguageLabel(translation.language)}: ${translation.terms.size.toLocaleString()} translated terms` : '');
+}
+
+/**
+ * Re-render the search results, selection and open term after the translation changes
+ */
+function refreshTranslatedViews() {
+    renderSelectionList();
+    
+    const query = DOM.search.input.value.trim();
+    if (query) performHPOSearch(query);
+    
+    if (AppState.currentTerm) updateModalTranslation(AppState.currentTerm);
+}
+
+/**
+ * Translate the static interface strings and set the page language and direction
+ * @param {string} code - Language code
+ */
+function applyUIStrings(code) {
+    const language = TRANSLATION_CONFIG.LANGUAGES.find(entry => entry.code === code);
+    
+    document.documentElement.lang = code;
+    document.documentElement.dir = (language && language.dir) || 'ltr';
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = getUIString(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = getUIString(element.dataset.i18nPlaceholder);
+    });
+    
+    renderSearchScopeOptions();
+}
+
+/**
+ * Get an interface string in the current language
+ * @param {string} key - Key of UI_STRINGS
+ * @returns {string} Translated string, falling back to English
+ */
+function getUIString(key) {
+    const strings = UI_STRINGS[AppState.language] || {};
+    return strings[key] || UI_STRINGS.en[key] || key;
+}
+
+/**
+ * Get the display name of a language
+ * @param {string} code - Language code
+ * @returns {string} Name from TRANSLATION_CONFIG.LANGUAGES, or "Translation" for an unknown language
+ */
+function getLanguageLabel(code) {
+    const language = TRANSLATION_CONFIG.LANGUAGES.find(entry => entry.code === code);
+    return language ? language.label : 'Translation';
+}
+
+/**
+ * Get the loaded translation of a term
+ * @param {string} hpId - HPO term ID
+ * @returns {Object|null} { name, englishName, definition, synonyms }, or null when untranslated
+ */
+function getTranslatedTerm(hpId) {
+    return AppState.translation ? AppState.translation.terms.get(hpId) || null : null;
+}
+
+/**
+ * Render a term's translated label for a list item
+ * @param {string} hpId - HPO term ID
+ * @param {string} [query] - Search term to highlight
+ * @returns {string} HTML, or an empty string when the term is untranslated
+ */
+function renderTranslatedLabel(hpId, query = '') {
+    const translated = getTranslatedTerm(hpId);
+    if (!translated) return '';
+    
+    return `<div class="translated-label" lang="${escapeHTML(AppState.translation.language)}">${highlightMatches(translated.name, query)}</div>`;
+}
+
+/**
+ * Copy a term record with its label replaced by the translation, keeping its ID
+ * @param {Object} term - Selected term
+ * @returns {Object} Term record for export
+ */
+function translateTermRecord(term) {
+    const translated = getTranslatedTerm(term.id);
+    return translated ? { ...term, name: translated.name } : term;
+}
+
+/**
+ * Replace English definitions with translated ones where a translation exists
+ * @param {Map} definitions - Map of HPO ID to English definition
+ * @returns {Map} Map of HPO ID to definition
+ */
+function translateDefinitions(definitions) {
+    const translated = new Map(definitions);
+    
+    translated.forEach((definition, id) => {
+        const entry = getTranslatedTerm(id);
+        if (entry && entry.definition) translated.set(id, entry.definition);
+    });
+    
+    return translated;
+}
+
+/**
+ * Add terms whose translated name or synonyms match the query to search results
+ * Matching ignores case and accents; terms already in the results are not repeated
+ * @param {Array} terms - Term objects from the search
+ * @param {string} query - Search term from user input
+ * @param {Set<string>|null} scopeIds - IDs the search is restricted to, or null
+ * @returns {Array} Term objects, translation-only matches last
+ */
+function mergeTranslatedMatches(terms, query, scopeIds) {
+    if (!AppState.translation) return terms;
+    
+    const foldText = (text) => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const words = foldText(query).split(/\s+/).filter(Boolean);
+    const seen = new Set(terms.map(term => term.id));
+    const matches = [];
+    
+    for (const [id, entry] of AppState.translation.terms) {
+        if (seen.has(id) || (scopeIds && !scopeIds.has(id))) continue;
+        
+        const haystack = foldText([entry.name, ...entry.synonyms].join(' '));
+        if (words.every(word => haystack.includes(word))) {
+            matches.push({ id, name: entry.englishName || entry.name, definition: '', synonyms: '' });
+            if (matches.length >= OFFLINE_CONFIG.MAX_SEARCH_RESULTS) break;
+        }
+    }
+    
+    return [...terms, ...matches];
+}
+
+// =============================================================================
+// CASE PERSISTENCE AND SWITCHING
+// =============================================================================
+
+/**
+ * Restore saved cases from localStorage, creating a first case when there are none
+ */
+function loadPersistedCases() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_CONFIG.CASES_KEY));
+        if (saved && Array.isArray(saved.cases) && saved.cases.length > 0) {
+            AppState.cases = saved.cases;
+            AppState.activeCaseId = saved.activeCaseId;
+        }
+    } catch (error) {
+        console.warn('Could not read saved cases:', error);
+    }
+    
+    if (AppState.cases.length === 0) {
+        AppState.cases = [createCaseRecord('Case 1')];
+    }
+    if (!getActiveCase()) {
+        AppState.activeCaseId = AppState.cases[0].id;
+    }
+    
+    loadActiveCase();
+}
+
+/**
+ * Save the working selection and sample ID into the active case and write all cases to storage
+ */
+function persistWorkingState() {
+    const activeCase = getActiveCase();
+    if (!activeCase) return;
+    
+    activeCase.terms = AppState.selectedTerms.map(term => ({ ...term }));
+    activeCase.sampleId = getSampleId();
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.CASES_KEY, JSON.stringify({
+            activeCaseId: AppState.activeCaseId,
+            cases: AppState.cases
+        }));
+    } catch (error) {
+        console.warn('Could not save cases:', error);
+    }
+}
+
+/**
+ * Create an empty case record
+ * @param {string} name - Display name of the case
+ * @returns {Object} Case with id, name, sampleId and terms
+ */
+function createCaseRecord(name) {
+    return {
+        id: `case-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        sampleId: '',
+        terms: []
+    };
+}
+
+/**
+ * Get the case currently being edited
+ * @returns {Object|undefined} Active case record
+ */
+function getActiveCase() {
+    return AppState.cases.find(savedCase => savedCase.id === AppState.activeCaseId);
+}
+
+/**
+ * Copy the active case into the working selection and refresh the UI
+ */
+function loadActiveCase() {
+    const activeCase = getActiveCase();
+    
+    AppState.selectedTerms = activeCase.terms.map(term => ({ ...term }));
+    DOM.cases.sampleInput.value = activeCase.sampleId || '';
+    
+    renderCaseSwitcher();
+    renderSelectionList();
+    updateExportButtonState();
+}
+
+/**
+ * Switch to another saved case, keeping the current one's changes
+ * @param {string} caseId - ID of the case to open
+ */
+function switchCase(caseId) {
+    if (caseId === AppState.activeCaseId) return;
+    
+    persistWorkingState();
+    AppState.activeCaseId = caseId;
+    loadActiveCase();
+}
+
+/**
+ * Create a new empty case and switch to it
+ */
+function createCase() {
+    const name = prompt('Name for the new case:', `Case ${AppState.cases.length + 1}`);
+    if (!name || !name.trim()) return;
+    
+    persistWorkingState();
+    const newCase = createCaseRecord(name.trim());
+    AppState.cases.push(newCase);
+    AppState.activeCaseId = newCase.id;
+    loadActiveCase();
+}
+
+/**
+ * Rename the active case
+ */
+function renameActiveCase() {
+    const activeCase = getActiveCase();
+    const name = prompt('Rename case:', activeCase.name);
+    if (!name || !name.trim()) return;
+    
+    activeCase.name = name.trim();
+    persistWorkingState();
+    renderCaseSwitcher();
+}
+
+/**
+ * Copy the active case, including its terms and sample ID, and switch to the copy
+ */
+function duplicateActiveCase() {
+    persistWorkingState();
+    
+    const activeCase = getActiveCase();
+    const copy = {
+        ...createCaseRecord(`${activeCase.name} (copy)`),
+        sampleId: activeCase.sampleId,
+        terms: activeCase.terms.map(term => ({ ...term }))
+    };
+    
+    AppState.cases.splice(AppState.cases.indexOf(activeCase) + 1, 0, copy);
+    AppState.activeCaseId = copy.id;
+    loadActiveCase();
+}
+
+/**
+ * Delete the active case after confirmation; the last case is emptied instead
+ */
+function deleteActiveCase() {
+    const activeCase = getActiveCase();
+    if (!confirm(`Delete case "${activeCase.name}" and its ${activeCase.terms.length} terms?`)) return;
+    
+    const index = AppState.cases.indexOf(activeCase);
+    AppState.cases.splice(index, 1);
+    
+    if (AppState.cases.length === 0) {
+        AppState.cases.push(createCaseRecord('Case 1'));
+    }
+    
+    AppState.activeCaseId = AppState.cases[Math.min(index, AppState.cases.length - 1)].id;
+    loadActiveCase();
+}
+
+/**
+ * Render the case picker options
+ */
+function renderCaseSwitcher() {
+    DOM.cases.select.innerHTML = '';
+    
+    AppState.cases.forEach(savedCase => {
+        const option = document.createElement('option');
+        option.value = savedCase.id;
+        option.textContent = savedCase.name;
+        option.selected = savedCase.id === AppState.activeCaseId;
+        DOM.cases.select.appendChild(option);
+    });
+}
+
+// =============================================================================
+// URL ROUTING AND SHARING
+// =============================================================================
+
+/**
+ * Split the URL hash into a route name, its argument and query parameters
+ * A malformed hash (e.g. a broken percent escape) gives the default, empty route
+ * @param {string} hash - Location hash, e.g. "#/term/HP:0001250"
+ * @returns {Object} Route with name, arg and params (URLSearchParams)
+ */
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [name = '', ...rest] = path.split('/');
+    
+    try {
+        return {
+            name,
+            arg: decodeURIComponent(rest.join('/')),
+            params: new URLSearchParams(query)
+        };
+    } catch (error) {
+        console.warn('Ignoring malformed link:', hash, error);
+        return { name: '', arg: '', params: new URLSearchParams() };
+    }
+}
+
+/**
+ * Act on the current URL hash: open a term, run a search or load a shared selection.
+ * Runs on start-up and whenever the hash is changed by the user.
+ */
+async function handleRouteChange() {
+    const route = parseRoute(window.location.hash);
+    
+    switch (route.name) {
+        case ROUTES.TERM:
+            await openTermRoute(route.arg);
+            break;
+        case ROUTES.SEARCH:
+            if (DOM.search.input.value.trim() !== route.arg) {
+                DOM.search.input.value = route.arg;
+                route.arg ? performHPOSearch(route.arg) : showEmptySearchState();
+            }
+            break;
+        case ROUTES.SELECTION:
+            await openSharedSelection(route.params);
+            break;
+    }
+}
+
+/**
+ * Open the details modal for a term linked by ID, resolving its name first
+ * @param {string} hpId - HPO term ID from the URL
+ */
+async function openTermRoute(hpId) {
+    const id = hpId.toUpperCase();
+    if (AppState.currentTerm && AppState.currentTerm.id === id) return;
+    
+    if (!/^HP:\d{7}$/.test(id)) {
+        alert(`"${hpId}" is not a valid HPO term ID.`);
+        updateRoute(getSearchRoute());
+        return;
+    }
+    
+    let record;
+    try {
+        record = await fetchTermRecord(id);
+    } catch (error) {
+        // Still show the term; the modal reports what it cannot load
+        console.warn('Could not resolve linked term', id, error);
+        record = { id, name: '' };
+    }
+    
+    if (!record) {
+        alert(`${id} is not a current HPO term.`);
+        updateRoute(getSearchRoute());
+        return;
+    }
+    
+    showTermDetailsModal(record);
+}
+
+/**
+ * Replace the URL hash without adding a history entry or triggering a hashchange
+ * @param {string} hash - New hash including "#", or an empty string to clear it
+ */
+function updateRoute(hash) {
+    if (window.location.hash === hash) return;
+    history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+}
+
+/**
+ * Hash reflecting the current search query
+ * @returns {string} Search route, or an empty string when the search box is empty
+ */
+function getSearchRoute() {
+    const query = DOM.search.input.value.trim();
+    return query ? `#/${ROUTES.SEARCH}/${encodeURIComponent(query)}` : '';
+}
+
+/**
+ * Hash that opens the details of a term
+ * @param {string} hpId - HPO term ID
+ * @returns {string} Term route
+ */
+function getTermRoute(hpId) {
+    return `#/${ROUTES.TERM}/${hpId}`;
+}
+
+/**
+ * Build a link that reconstructs the current selection.
+ * IDs are stored without the "HP:" prefix and excluded terms carry a leading "!".
+ * @returns {string} Absolute URL of the shared selection
+ */
+function buildSelectionLink() {
+    const terms = AppState.selectedTerms
+        .map(term => `${term.excluded ? '!' : ''}${term.id.replace(/^HP:/, '')}`)
+        .join(',');
+    const sampleId = getSampleId();
+    const sample = sampleId ? `&sample=${encodeURIComponent(sampleId)}` : '';
+    
+    const baseUrl = window.location.href.split('#')[0];
+    return `${baseUrl}#/${ROUTES.SELECTION}?terms=${terms}${sample}`;
+}
+
+/**
+ * Copy a link to the current selection to the clipboard
+ */
+async function shareSelection() {
+    if (AppState.selectedTerms.length === 0) return;
+    
+    const link = buildSelectionLink();
+    
+    try {
+        await navigator.clipboard.writeText(link);
+        alert(`Link to ${AppState.selectedTerms.length} selected terms copied to clipboard.`);
+    } catch (error) {
+        // Clipboard access is not available everywhere (e.g. file:// pages)
+        console.warn('Could not copy share link:', error);
+        prompt('Copy this link to share the selection:', link);
+    }
+}
+
+/**
+ * Load a shared selection into a new case, resolving term names through the API
+ * @param {URLSearchParams} params - Route parameters with "terms" and optional "sample"
+ */
+async function openSharedSelection(params) {
+    const report = { invalidLines: [], unresolved: [], unverified: [] };
+    const entries = [];
+    
+    (params.get('terms') || '').split(',').forEach((token, index) => {
+        if (!token.trim()) return;
+        
+        const excluded = token.startsWith('!');
+        const digits = token.replace(/^!/, '').replace(/^HP:/i, '').trim();
+        
+        if (!/^\d{7}$/.test(digits)) {
+            report.invalidLines.push({ lineNumber: index + 1, text: token });
+            return;
+        }
+        
+        const id = `HP:${digits}`;
+        if (!entries.some(entry => entry.id === id)) {
+            entries.push({ id, name: '', excluded });
+        }
+    });
+    
+    // Drop the link from the address bar so reloading does not create another case
+    updateRoute('');
+    
+    if (entries.length === 0) {
+        alert('The shared link does not contain any HPO terms.');
+        return;
+    }
+    
+    const results = await Promise.all(entries.map(async entry => {
+        try {
+            const record = await fetchTermRecord(entry.id);
+            if (!record) report.unresolved.push(entry);
+            return record ? { ...entry, ...record } : null;
+        } catch (error) {
+            console.warn('Could not verify shared term', entry.id, error);
+            report.unverified.push(entry);
+            return { ...entry, name: entry.id };
+        }
+    }));
+    const terms = results.filter(Boolean);
+    
+    // Keep the user's own cases intact: the shared selection becomes a case of its own
+    persistWorkingState();
+    const sampleId = params.get('sample') || '';
+    const sharedCase = createCaseRecord(sampleId ? `Shared: ${sampleId}` : 'Shared selection');
+    sharedCase.sampleId = sampleId;
+    sharedCase.terms = terms;
+    AppState.cases.push(sharedCase);
+    AppState.activeCaseId = sharedCase.id;
+    loadActiveCase();
+    
+    showImportReport('the shared link', terms.length, report);
+}
+
+// =============================================================================
+// CLINICAL NOTE ANNOTATION
+// =============================================================================
+
+/**
+ * Recognize HPO concepts in the pasted note and show them for review
+ */
+async function annotateClinicalNote() {
+    const text = DOM.note.input.value;
+    if (!text.trim()) return;
+    
+    DOM.note.annotateBtn.disabled = true;
+    DOM.note.status.textContent = AppState.ontology ?
+        'Matching against the loaded HPO release...' :
+        'Building a lexicon from HPO search results...';
+    
+    try {
+        const lexicon = await buildNoteLexicon(text);
+        const candidates = recognizeConcepts(text, lexicon);
+        
+        AppState.noteAnnotation = { text, candidates };
+        renderNoteAnnotation();
+        
+        DOM.note.status.textContent = candidates.length > 0 ?
+            `${candidates.length} phenotype mentions found. Accept or reject each candidate.` :
+            'No HPO terms were recognized in this note.';
+    } catch (error) {
+        console.error('Note annotation failed:', error);
+        DOM.note.status.textContent = 'Unable to annotate the note. Please try again later.';
+    } finally {
+        DOM.note.annotateBtn.disabled = false;
+    }
+}
+
+/**
+ * Build a lexicon of normalized HPO names and synonyms
+ * Uses the whole loaded release offline; otherwise searches the API for the note's content words
+ * @param {string} text - Clinical note
+ * @returns {Promise<Map>} Promise resolving to a map of normalized phrase to { id, name }
+ */
+async function buildNoteLexicon(text) {
+    const lexicon = new Map();
+    const addTerm = (term) => {
+        [term.name, ...parseSynonyms(term.synonyms)].forEach(label => {
+            const phrase = tokenizeNote(label).map(token => token.normalized).join(' ');
+            if (phrase && !lexicon.has(phrase)) lexicon.set(phrase, { id: term.id, name: term.name });
+        });
+    };
+    
+    if (AppState.ontology) {
+        AppState.ontology.terms.forEach(term => {
+            if (!term.obsolete) addTerm(term);
+        });
+        return lexicon;
+    }
+    
+    const stopwords = new Set(NOTE_CONFIG.STOPWORDS);
+    const words = [...new Set(tokenizeNote(text)
+        .map(token => token.lower)
+        .filter(word => word.length >= NOTE_CONFIG.MIN_WORD_LENGTH && !stopwords.has(word) && !/^\d+$/.test(word)))]
+        .slice(0, NOTE_CONFIG.MAX_LOOKUPS);
+    
+    for (let i = 0; i < words.length; i += NOTE_CONFIG.LOOKUP_BATCH_SIZE) {
+        const batch = words.slice(i, i + NOTE_CONFIG.LOOKUP_BATCH_SIZE);
+        const responses = await Promise.all(batch.map(word =>
+            queryDataProvider('search', word).then(page => page.terms).catch(error => {
+                console.warn('Lexicon lookup failed for', word, error);
+                return [];
+            })
+        ));
+        responses.forEach(terms => terms.forEach(addTerm));
+    }
+    
+    return lexicon;
+}
+
+/**
+ * Split text into word tokens with their offsets
+ * Tokens are normalized to lower case with a simple plural "s" removed so
+ * "seizures" in a note matches the label "Seizure"
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens with start, end, lower and normalized properties
+ */
+function tokenizeNote(text) {
+    const tokens = [];
+    const pattern = /[A-Za-z0-9]+(?:['-][A-Za-z0-9]+)*/g;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        const lower = match[0].toLowerCase();
+        const normalized = lower.length > 4 && lower.endsWith('s') && !lower.endsWith('ss') ?
+            lower.slice(0, -1) : lower;
+        tokens.push({ start: match.index, end: match.index + match[0].length, lower, normalized });
+    }
+    
+    return tokens;
+}
+
+/**
+ * Find the longest lexicon phrases in the note and detect negated mentions
+ * @param {string} text - Clinical note
+ * @param {Map} lexicon - Lexicon from buildNoteLexicon
+ * @returns {Array} Candidates with id, name, start, end, text, negated and status
+ */
+function recognizeConcepts(text, lexicon) {
+    const tokens = tokenizeNote(text);
+    const candidates = [];
+    
+    // Index phrases by their first token, longest first
+    const phrasesByFirstToken = new Map();
+    lexicon.forEach((term, phrase) => {
+        const phraseTokens = phrase.split(' ');
+        if (!phrasesByFirstToken.has(phraseTokens[0])) phrasesByFirstToken.set(phraseTokens[0], []);
+        phrasesByFirstToken.get(phraseTokens[0]).push({ phraseTokens, term });
+    });
+    phrasesByFirstToken.forEach(phrases => phrases.sort((a, b) => b.phraseTokens.length - a.phraseTokens.length));
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const match = (phrasesByFirstToken.get(tokens[i].normalized) || []).find(({ phraseTokens }) =>
+            phraseTokens.every((phraseToken, offset) =>
+                tokens[i + offset] && tokens[i + offset].normalized === phraseToken &&
+                !hasSentenceBreak(text, tokens[i], tokens[i + offset]))
+        );
+        if (!match) continue;
+        
+        const last = tokens[i + match.phraseTokens.length - 1];
+        candidates.push({
+            ...match.term,
+            start: tokens[i].start,
+            end: last.end,
+            text: text.slice(tokens[i].start, last.end),
+            negated: isNegated(text, tokens, i),
+            status: 'pending'
+        });
+        i += match.phraseTokens.length - 1;
+    }
+    
+    return candidates;
+}
+
+/**
+ * Check whether a mention is preceded by a negation cue in the same sentence
+ * @param {string} text - Clinical note
+ * @param {Array} tokens - Tokens from tokenizeNote
+ * @param {number} index - Index of the mention's first token
+ * @returns {boolean} True when the mention is negated
+ */
+function isNegated(text, tokens, index) {
+    const windowStart = Math.max(0, index - NOTE_CONFIG.NEGATION_WINDOW);
+    const preceding = [];
+    
+    for (let i = index - 1; i >= windowStart; i--) {
+        if (hasSentenceBreak(text, tokens[i], tokens[index])) break;
+        preceding.unshift(tokens[i].lower);
+    }
+    
+    // Only look after the last terminator such as "but"
+    const afterTerminator = (list) => {
+        let start = 0;
+        NOTE_CONFIG.NEGATION_TERMINATORS.forEach(terminator => {
+            const words = terminator.split(' ');
+            for (let i = 0; i + words.length <= list.length; i++) {
+                if (words.every((word, offset) => list[i + offset] === word)) start = Math.max(start, i + words.length);
+            }
+        });
+        return list.slice(start);
+    };
+    
+    const scope = ` ${afterTerminator(preceding).join(' ')} `;
+    return NOTE_CONFIG.NEGATION_CUES.some(cue => scope.includes(` ${cue} `));
+}
+
+/**
+ * Check whether sentence punctuation separates two tokens
+ * @param {string} text - Clinical note
+ * @param {Object} from - Earlier token
+ * @param {Object} to - Later token
+ * @returns {boolean} True when a sentence ends between the tokens
+ */
+function hasSentenceBreak(text, from, to) {
+    return /[.;!?\n]/.test(text.slice(from.end, to.start));
+}
+
+/**
+ * Render the highlighted note and the candidate review list
+ */
+function renderNoteAnnotation() {
+    const { text, candidates } = AppState.noteAnnotation;
+    
+    let html = '';
+    let position = 0;
+    candidates.forEach((candidate, index) => {
+        const classes = ['note-span', candidate.status, candidate.negated ? 'negated' : ''].filter(Boolean).join(' ');
+        html += escapeHTML(text.slice(position, candidate.start)) +
+            `<mark class="${classes}" data-index="${index}">` +
+            `${escapeHTML(candidate.text)}</mark>`;
+        position = candidate.end;
+    });
+    DOM.note.highlighted.innerHTML = html + escapeHTML(text.slice(position));
+    
+    // Tooltips are set through the DOM so term names never end up inside attribute markup
+    DOM.note.highlighted.querySelectorAll('mark').forEach(mark => {
+        const candidate = candidates[mark.dataset.index];
+        mark.title = `${candidate.name} (${candidate.id})${candidate.negated ? ' - negated' : ''}`;
+    });
+    
+    DOM.note.candidates.innerHTML = '';
+    candidates.forEach((candidate, index) => {
+        DOM.note.candidates.appendChild(createNoteCandidateItem(candidate, index));
+    });
+    
+    DOM.note.input.hidden = true;
+    DOM.note.highlighted.hidden = false;
+    DOM.note.editBtn.hidden = false;
+    DOM.note.acceptAllBtn.hidden = candidates.length === 0;
+}
+
+/**
+ * Create a review row for a recognized concept
+ * @param {Object} candidate - Candidate from recognizeConcepts
+ * @param {number} index - Position of the candidate in the annotation
+ * @returns {HTMLLIElement} Configured list item
+ */
+function createNoteCandidateItem(candidate, index) {
+    const li = document.createElement('li');
+    li.className = `note-candidate ${candidate.status}`;
+    li.innerHTML = `
+        <div>
+            <strong>${escapeHTML(candidate.name)}</strong> (${escapeHTML(candidate.id)})
+            ${candidate.negated ? '<span class="negation-badge">Negated</span>' : ''}
+            <div class="note-candidate-text">"${escapeHTML(candidate.text)}"</div>
+        </div>
+        <div class="note-candidate-actions">
+            <button class="btn btn-primary btn-small" data-action="accept" ${candidate.status === 'accepted' ? 'disabled' : ''}>
+                <i class="fas fa-check"></i> Accept
+            </button>
+            <button class="btn btn-outline btn-small" data-action="reject" ${candidate.status === 'rejected' ? 'disabled' : ''}>
+                <i class="fas fa-times"></i> Reject
+            </button>
+        </div>
+    `;
+    
+    li.querySelector('[data-action="accept"]').addEventListener('click', () => setNoteCandidateStatus(index, 'accepted'));
+    li.querySelector('[data-action="reject"]').addEventListener('click', () => setNoteCandidateStatus(index, 'rejected'));
+    
+    return li;
+}
+
+/**
+ * Accept or reject a candidate; accepted candidates join the selection,
+ * negated ones as excluded terms
+ *
+ * A candidate remembers whether accepting it added its term (addedTerm). Rejecting
+ * it only removes terms it added, never ones that were selected by hand; while
+ * another accepted mention of the same term remains, that mention takes over.
+ * @param {number} index - Position of the candidate in the annotation
+ * @param {string} status - 'accepted' or 'rejected'
+ */
+function setNoteCandidateStatus(index, status) {
+    const { candidates } = AppState.noteAnnotation;
+    const candidate = candidates[index];
+    const previous = candidate.status;
+    candidate.status = status;
+    
+    if (status === 'accepted' && previous !== 'accepted') {
+        candidate.addedTerm = addTermsToSelection([toNoteTerm(candidate)]).has(candidate.id);
+    } else if (status !== 'accepted' && previous === 'accepted' && candidate.addedTerm) {
+        candidate.addedTerm = false;
+        
+        const otherMention = candidates.find(other => other.id === candidate.id && other.status === 'accepted');
+        if (otherMention) {
+            otherMention.addedTerm = true;
+        } else {
+            removeTermFromSelection(candidate.id);
+        }
+    }
+    
+    renderNoteAnnotation();
+}
+
+/**
+ * Accept every candidate that has not been rejected, adding their terms in one batch
+ */
+function acceptAllNoteCandidates() {
+    const pending = AppState.noteAnnotation.candidates.filter(candidate => candidate.status === 'pending');
+    const added = addTermsToSelection(pending.map(toNoteTerm));
+    
+    pending.forEach(candidate => {
+        candidate.status = 'accepted';
+        // Only the first mention of a newly added term owns it
+        candidate.addedTerm = added.delete(candidate.id);
+    });
+    
+    renderNoteAnnotation();
+}
+
+/**
+ * Turn a note candidate into a selection term
+ * @param {Object} candidate - Recognized mention
+ * @returns {Object} Term with id, name and excluded status
+ */
+function toNoteTerm(candidate) {
+    return { id: candidate.id, name: candidate.name, excluded: candidate.negated };
+}
+
+/**
+ * Go back to editing the note text
+ */
+function showNoteEditor() {
+    DOM.note.input.hidden = false;
+    DOM.note.highlighted.hidden = true;
+    DOM.note.editBtn.hidden = true;
+    DOM.note.input.focus();
+}
+
+// =============================================================================
+// GENE PRIORITIZATION
+// =============================================================================
+
+/**
+ * Open the gene prioritization panel and rank genes for the current selection
+ */
+async function openGenePanel() {
+    openDialog(DOM.genePanel.container);
+    await rankCandidateGenes();
+}
+
+/**
+ * Fetch gene annotations for every observed selected term and aggregate them
+ * Excluded terms are left out because they do not support a candidate gene
+ */
+async function rankCandidateGenes() {
+    const loadId = ++AppState.geneRanking.loadId;
+    const terms = AppState.selectedTerms.filter(term => !term.excluded);
+    
+    AppState.geneRanking.rows = [];
+    DOM.genePanel.body.innerHTML = '';
+    DOM.genePanel.exportBtn.disabled = true;
+    
+    if (terms.length === 0) {
+        DOM.genePanel.status.textContent = 'Select at least one observed term to rank genes.';
+        return;
+    }
+    
+    DOM.genePanel.status.textContent = `Fetching gene annotations for ${terms.length} terms...`;
+    
+    const results = await Promise.all(terms.map(async term => {
+        try {
+            const { genes } = await fetchTermAnnotations(term.id);
+            return { term, genes };
+        } catch (error) {
+            console.warn('Gene annotations unavailable for', term.id, error);
+            return { term, genes: null };
+        }
+    }));
+    
+    // The panel was reopened while this run was fetching
+    if (loadId !== AppState.geneRanking.loadId) return;
+    
+    const genesById = new Map();
+    results.forEach(({ term, genes }) => {
+        (genes || []).forEach(({ id, name }) => {
+            if (!genesById.has(id)) genesById.set(id, { gene: name, geneId: id, matchedTerms: [] });
+            genesById.get(id).matchedTerms.push(term);
+        });
+    });
+    
+    AppState.geneRanking.rows = Array.from(genesById.values());
+    
+    const failed = results.filter(({ genes }) => genes === null).map(({ term }) => term.id);
+    DOM.genePanel.status.textContent =
+        `${AppState.geneRanking.rows.length} genes across ${terms.length - failed.length} terms` +
+        (failed.length > 0 ? ` (annotations unavailable for ${failed.join(', ')})` : '');
+    
+    renderGeneRanking();
+}
+
+/**
+ * Sort the gene ranking by a column, toggling direction when the column is already active
+ * @param {string} sortKey - 'gene' or 'count'
+ */
+function sortGeneRanking(sortKey) {
+    const ranking = AppState.geneRanking;
+    
+    if (ranking.sortKey === sortKey) {
+        ranking.sortDescending = !ranking.sortDescending;
+    } else {
+        ranking.sortKey = sortKey;
+        ranking.sortDescending = sortKey === 'count';
+    }
+    
+    renderGeneRanking();
+}
+
+/**
+ * Get the gene ranking rows in the current sort order
+ * Ties are broken alphabetically by gene symbol
+ * @returns {Array} Sorted copy of the ranking rows
+ */
+function getSortedGeneRanking() {
+    const { rows, sortKey, sortDescending } = AppState.geneRanking;
+    const direction = sortDescending ? -1 : 1;
+    
+    return [...rows].sort((a, b) => {
+        const byCount = a.matchedTerms.length - b.matchedTerms.length;
+        const byGene = a.gene.localeCompare(b.gene);
+        return sortKey === 'count' ? (direction * byCount || byGene) : direction * byGene;
+    });
+}
+
+/**
+ * Render the gene ranking table
+ */
+function renderGeneRanking() {
+    const { sortKey, sortDescending } = AppState.geneRanking;
+    const rows = getSortedGeneRanking();
+    
+    DOM.genePanel.table.querySelectorAll('th[data-sort]').forEach(header => {
+        const isActive = header.dataset.sort === sortKey;
+        header.setAttribute('aria-sort', isActive ? (sortDescending ? 'descending' : 'ascending') : 'none');
+    });
+    
+    DOM.genePanel.body.innerHTML = '';
+    rows.forEach(({ gene, geneId, matchedTerms }) => {
+        const link = getAnnotationLink({ id: geneId, name: gene });
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><span class="gene-chip" title="${escapeHTML(geneId)}">${link ?
+                `<a href="${escapeHTML(link)}" target="_blank" rel="noopener">${escapeHTML(gene)}</a>` : escapeHTML(gene)}</span></td>
+            <td>${matchedTerms.length}</td>
+            <td>${matchedTerms.map(term => `${escapeHTML(term.name)} (${escapeHTML(term.id)})`).join('<br>')}</td>
+        `;
+        DOM.genePanel.body.appendChild(tr);
+    });
+    
+    DOM.genePanel.exportBtn.disabled = rows.length === 0;
+}
+
+/**
+ * Export the ranked genes as a TSV gene panel in the current sort order
+ */
+function exportGenePanel() {
+    const rows = getSortedGeneRanking();
+    if (rows.length === 0) return;
+    
+    const header = 'gene\tgene_id\tmatched_terms\tmatched_term_ids\tmatched_term_names';
+    const lines = rows.map(({ gene, geneId, matchedTerms }) => [
+        gene,
+        geneId,
+        matchedTerms.length,
+        matchedTerms.map(term => term.id).join(';'),
+        // Term names can contain commas, so both lists use semicolons
+        matchedTerms.map(term => term.name).join(';')
+    ].join('\t'));
+    
+    const sampleId = getSampleId();
+    downloadFile([header, ...lines].join('\n'), `${sampleId || 'HPO'}_gene_panel.tsv`, 'text/tab-separated-values');
+}
+
+// =============================================================================
+// DIFFERENTIAL DIAGNOSIS
+// =============================================================================
+
+/**
+ * Open the differential diagnosis panel and score diseases for the current selection
+ */
+async function openDifferentialPanel() {
+    openDialog(DOM.differential.container);
+    await rankDifferentialDiagnoses();
+}
+
+/**
+ * Score diseases against the observed selected terms and render the top matches
+ *
+ * Each query term is compared with a disease through its ancestors: the term's
+ * annotation set contains every disease annotated to it or a descendant, so the
+ * most informative ancestor whose set contains the disease is their most
+ * informative common ancestor (Resnik). A disease's score is the average of
+ * these best matches over all query terms (best-match-average), with
+ * information content IC(t) = -ln(diseases(t) / diseases(Phenotypic abnormality)).
+ */
+async function rankDifferentialDiagnoses() {
+    const differentialId = ++AppState.latestDifferentialId;
+    const queryTerms = AppState.selectedTerms.filter(term => !term.excluded);
+    DOM.differential.body.innerHTML = '';
+    
+    if (queryTerms.length === 0) {
+        DOM.differential.status.textContent = 'Select at least one observed term to rank diseases.';
+        return;
+    }
+    
+    DOM.differential.status.textContent = `Walking the hierarchy for ${queryTerms.length} terms...`;
+    
+    try {
+        // Each query term with itself and all of its ancestors except the root
+        const queryLineages = await Promise.all(queryTerms.map(async term => {
+            const ancestors = await fetchTermAncestors(term.id);
+            ancestors.delete(ONTOLOGY_ROOTS.ALL);
+            return { term, lineage: new Map([[term.id, term.name], ...ancestors]) };
+        }));
+        if (differentialId !== AppState.latestDifferentialId) return;
+        
+        const lineageIds = new Set([ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY]);
+        queryLineages.forEach(({ lineage }) => lineage.forEach((name, id) => lineageIds.add(id)));
+        
+        DOM.differential.status.textContent = `Fetching disease annotations for ${lineageIds.size} terms...`;
+        
+        const annotationSets = new Map();
+        await Promise.all(Array.from(lineageIds, async id => {
+            try {
+                const { diseases } = await fetchTermAnnotations(id);
+                annotationSets.set(id, diseases);
+            } catch (error) {
+                console.warn('Disease annotations unavailable for', id, error);
+                annotationSets.set(id, []);
+            }
+        }));
+        if (differentialId !== AppState.latestDifferentialId) return;
+        
+        const ranked = scoreDiseases(queryLineages, annotationSets);
+        renderDifferentialDiagnoses(ranked.slice(0, DIFFERENTIAL_CONFIG.MAX_RESULTS));
+        
+        const excludedCount = AppState.selectedTerms.length - queryTerms.length;
+        DOM.differential.status.textContent =
+            `${ranked.length} candidate diseases scored against ${queryTerms.length} observed terms` +
+            (excludedCount > 0 ? ` (${excludedCount} excluded terms not used)` : '') +
+            `. Showing the top ${Math.min(ranked.length, DIFFERENTIAL_CONFIG.MAX_RESULTS)}.`;
+    } catch (error) {
+        if (differentialId !== AppState.latestDifferentialId) return;
+        console.error('Differential diagnosis failed:', error);
+        DOM.differential.status.textContent = 'Unable to load the hierarchy or annotations. Please try again later.';
+    }
+}
+
+/**
+ * Compute best-match-average Resnik scores for every disease reachable from the query
+ * @param {Array} queryLineages - { term, lineage } where lineage maps term/ancestor IDs to names
+ * @param {Map} annotationSets - Map of term ID to { id, name } disease records
+ * @returns {Array} Diseases sorted by descending score, each with its best term matches
+ */
+function scoreDiseases(queryLineages, annotationSets) {
+    const rootDiseaseCount = Math.max(
+        annotationSets.get(ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY)?.length || 0,
+        ...Array.from(annotationSets.values(), diseases => diseases.length)
+    );
+    const informationContent = (id) => {
+        const count = annotationSets.get(id)?.length || 0;
+        return count > 0 && rootDiseaseCount > 0 ? -Math.log(count / rootDiseaseCount) : 0;
+    };
+    
+    const diseases = new Map();
+    annotationSets.forEach(records => records.forEach(record => {
+        if (!diseases.has(record.id)) diseases.set(record.id, { ...record, matches: [] });
+    }));
+    
+    // Index which diseases each term covers for quick membership checks
+    const coverage = new Map();
+    annotationSets.forEach((records, id) => coverage.set(id, new Set(records.map(record => record.id))));
+    
+    queryLineages.forEach(({ term, lineage }) => {
+        diseases.forEach(disease => {
+            let best = null;
+            
+            lineage.forEach((name, id) => {
+                if (!coverage.get(id)?.has(disease.id)) return;
+                const ic = informationContent(id);
+                if (!best || ic > best.ic) best = { query: term, via: { id, name }, ic };
+            });
+            
+            if (best && best.ic > 0) disease.matches.push(best);
+        });
+    });
+    
+    return Array.from(diseases.values())
+        .filter(disease => disease.matches.length > 0)
+        .map(disease => ({
+            ...disease,
+            score: disease.matches.reduce((sum, match) => sum + match.ic, 0) / queryLineages.length
+        }))
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * Render ranked diseases with their matching term pairs
+ * @param {Array} ranked - Scored diseases from scoreDiseases
+ */
+function renderDifferentialDiagnoses(ranked) {
+    DOM.differential.body.innerHTML = '';
+    
+    ranked.forEach((disease, index) => {
+        const link = getAnnotationLink(disease);
+        const matches = disease.matches.map(({ query, via, ic }) => {
+            const pair = query.id === via.id ?
+                `${escapeHTML(query.name)} (exact)` :
+                `${escapeHTML(query.name)} &rarr; ${escapeHTML(via.name)} (${escapeHTML(via.id)})`;
+            return `${pair} <span class="match-ic">IC ${ic.toFixed(2)}</span>`;
+        });
+        
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${index + 1}</td>
+            <td>${link ? `<a href="${escapeHTML(link)}" target="_blank" rel="noopener">${escapeHTML(disease.name)}</a>` : escapeHTML(disease.name)}<br><span class="disease-id">${escapeHTML(disease.id)}</span></td>
+            <td>${disease.score.toFixed(2)}</td>
+            <td>${matches.join('<br>')}</td>
+        `;
+        DOM.differential.body.appendChild(tr);
+    });
+}
+
+// =============================================================================
+// PROFILE COMPARISON
+// =============================================================================
+
+/**
+ * Open the comparison dialog with the other saved cases offered as the second profile
+ */
+function openComparePanel() {
+    renderCompareCaseOptions();
+    openDialog(DOM.compare.container);
+    DOM.compare.input.focus();
+}
+
+/**
+ * List every saved case except the active one as a possible second profile
+ */
+function renderCompareCaseOptions() {
+    const selected = DOM.compare.caseSelect.value;
+    const otherCases = AppState.cases.filter(savedCase => savedCase.id !== AppState.activeCaseId);
+    
+    DOM.compare.caseSelect.innerHTML = [
+        '<option value="">Pasted IDs or file</option>',
+        ...otherCases.map(savedCase =>
+            `<option value="${escapeHTML(savedCase.id)}">${escapeHTML(savedCase.name)} (${savedCase.terms.length} terms)</option>`)
+    ].join('');
+    
+    if (otherCases.some(savedCase => savedCase.id === selected)) {
+        DOM.compare.caseSelect.value = selected;
+    }
+}
+
+/**
+ * Fill the second profile with the terms of the chosen saved case and compare
+ */
+function handleCompareCaseChange() {
+    const savedCase = AppState.cases.find(entry => entry.id === DOM.compare.caseSelect.value);
+    if (!savedCase) return;
+    
+    DOM.compare.input.value = buildHPOList({ terms: savedCase.terms });
+    compareProfiles();
+}
+
+/**
+ * Fill the second profile from an exported file and compare
+ * @param {Event} event - File input change event
+ */
+async function handleCompareFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    DOM.compare.input.value = await file.text();
+    DOM.compare.caseSelect.value = '';
+    
+    // Allow the same file to be loaded again later
+    event.target.value = '';
+    compareProfiles();
+}
+
+/**
+ * Compare the selection with the second profile and render the result
+ */
+async function compareProfiles() {
+    const comparisonId = ++AppState.latestComparisonId;
+    const entries = parseComparisonProfile(DOM.compare.input.value);
+    const savedCase = AppState.cases.find(entry => entry.id === DOM.compare.caseSelect.value);
+    const labels = [getActiveCase().name, savedCase ? savedCase.name : 'second profile'];
+    
+    DOM.compare.results.hidden = true;
+    DOM.compare.results.innerHTML = '';
+    // A run still in flight is now stale and will not re-enable the button itself
+    DOM.compare.runBtn.disabled = false;
+    
+    if (AppState.selectedTerms.length === 0) {
+        DOM.compare.status.textContent = 'Select at least one term to compare.';
+        return;
+    }
+    if (entries.length === 0) {
+        DOM.compare.status.textContent = 'Paste HPO IDs, load an exported file or choose a saved case to compare with.';
+        return;
+    }
+    
+    DOM.compare.runBtn.disabled = true;
+    DOM.compare.status.textContent = `Walking the hierarchy for ${AppState.selectedTerms.length + entries.length} terms...`;
+    
+    try {
+        const { terms, skipped } = await resolveComparisonTerms(entries);
+        const comparison = await buildProfileComparison(AppState.selectedTerms, terms);
+        if (comparisonId !== AppState.latestComparisonId) return;
+        
+        renderProfileComparison(comparison, labels);
+        
+        DOM.compare.status.textContent = skipped.length > 0 ?
+            `Skipped IDs that no longer resolve: ${skipped.join(', ')}` : '';
+    } catch (error) {
+        if (comparisonId !== AppState.latestComparisonId) return;
+        console.error('Profile comparison failed:', error);
+        DOM.compare.status.textContent = 'Unable to load the hierarchy. Please try again later.';
+    } finally {
+        if (comparisonId === AppState.latestComparisonId) DOM.compare.runBtn.disabled = false;
+    }
+}
+
+/**
+ * Read the second profile from an exported HPO list or any text containing HPO IDs
+ * Lines in the HPO list format keep their names and excluded status; IDs found
+ * anywhere else (pasted lists, JSON, Phenopackets) are taken as observed terms
+ * @param {string} text - Pasted or loaded text
+ * @returns {Array} Entries with id, name and excluded
+ */
+function parseComparisonProfile(text) {
+    const { entries, invalidLines } = parseSelectionFile(text);
+    
+    invalidLines.forEach(line => {
+        (line.text.match(/HP[:_]\d{7}/g) || []).forEach(match => {
+            const id = match.replace('_', ':');
+            if (!entries.some(entry => entry.id === id)) entries.push({ id, name: '', excluded: false });
+        });
+    });
+    
+    return entries;
+}
+
+/**
+ * Look up the names of entries given by ID only
+ * @param {Array} entries - Parsed second-profile entries
+ * @returns {Promise<Object>} Promise resolving to { terms, skipped } where skipped lists unknown IDs
+ */
+async function resolveComparisonTerms(entries) {
+    const skipped = [];
+    
+    const resolved = await Promise.all(entries.map(async entry => {
+        if (entry.name) return entry;
+        
+        try {
+            const record = await fetchTermRecord(entry.id);
+            if (!record) skipped.push(entry.id);
+            return record ? { ...entry, ...record } : null;
+        } catch (error) {
+            // Keep the term under its ID when the API cannot confirm it
+            console.warn('Could not look up compared term', entry.id, error);
+            return { ...entry, name: entry.id };
+        }
+    }));
+    
+    return { terms: resolved.filter(Boolean), skipped };
+}
+
+/**
+ * Work out shared, conflicting, unique and related terms of two profiles
+ *
+ * Terms are related when their lineages (the term and all of its ancestors)
+ * meet below Phenotypic abnormality; the meeting point shown is their most
+ * specific common ancestor. Lineage overlap is measured as the Jaccard index,
+ * and the similarity score is its symmetric best-match-average over the
+ * observed terms of both profiles.
+ * @param {Array} firstTerms - Terms of the current selection
+ * @param {Array} secondTerms - Terms of the second profile
+ * @returns {Promise<Object>} Promise resolving to { shared, conflicting, onlyFirst, onlySecond, related, score }
+ */
+async function buildProfileComparison(firstTerms, secondTerms) {
+    const firstById = new Map(firstTerms.map(term => [term.id, term]));
+    const secondById = new Map(secondTerms.map(term => [term.id, term]));
+    
+    const shared = [];
+    const conflicting = [];
+    firstTerms.forEach(term => {
+        const other = secondById.get(term.id);
+        if (!other) return;
+        (Boolean(other.excluded) === Boolean(term.excluded) ? shared : conflicting).push({ term, other });
+    });
+    
+    const onlyFirst = firstTerms.filter(term => !secondById.has(term.id));
+    const onlySecond = secondTerms.filter(term => !firstById.has(term.id));
+    
+    // Lineages of every term, shared by both profiles and by the ancestor lookups below
+    const names = new Map();
+    const lineages = new Map();
+    const getLineage = async (id) => {
+        if (!lineages.has(id)) {
+            const ancestors = await fetchTermAncestors(id);
+            ancestors.delete(ONTOLOGY_ROOTS.ALL);
+            ancestors.forEach((name, ancestorId) => names.set(ancestorId, name));
+            lineages.set(id, new Set([id, ...ancestors.keys()]));
+        }
+        return lineages.get(id);
+    };
+    
+    const firstObserved = firstTerms.filter(term => !term.excluded);
+    const secondObserved = secondTerms.filter(term => !term.excluded);
+    await Promise.all([...firstObserved, ...secondObserved].map(term => getLineage(term.id)));
+    
+    const commonAncestors = (a, b) => {
+        const other = lineages.get(b);
+        return Array.from(lineages.get(a)).filter(id => other.has(id));
+    };
+    const similarity = (a, b) => {
+        const common = commonAncestors(a, b).length;
+        return common / (lineages.get(a).size + lineages.get(b).size - common);
+    };
+    const bestMatchAverage = (terms, candidates) => terms.reduce((sum, term) =>
+        sum + Math.max(...candidates.map(candidate => similarity(term.id, candidate.id))), 0) / terms.length;
+    
+    const score = firstObserved.length > 0 && secondObserved.length > 0 ?
+        (bestMatchAverage(firstObserved, secondObserved) + bestMatchAverage(secondObserved, firstObserved)) / 2 :
+        null;
+    
+    // Pair each unique observed term with its closest unique counterpart in the other profile
+    const uniqueFirst = onlyFirst.filter(term => !term.excluded);
+    const uniqueSecond = onlySecond.filter(term => !term.excluded);
+    const pairs = new Map();
+    const addClosestPair = (term, candidates, termIsFirst) => {
+        let best = null;
+        candidates.forEach(candidate => {
+            const informative = commonAncestors(term.id, candidate.id)
+                .filter(id => id !== ONTOLOGY_ROOTS.PHENOTYPIC_ABNORMALITY);
+            if (informative.length === 0) return;
+            
+            const value = similarity(term.id, candidate.id);
+            if (!best || value > best.similarity) best = { candidate, similarity: value, informative };
+        });
+        if (!best) return;
+        
+        const [first, second] = termIsFirst ? [term, best.candidate] : [best.candidate, term];
+        pairs.set(`${first.id}|${second.id}`, { first, second, similarity: best.similarity, informative: best.informative });
+    };
+    uniqueFirst.forEach(term => addClosestPair(term, uniqueSecond, true));
+    uniqueSecond.forEach(term => addClosestPair(term, uniqueFirst, false));
+    
+    // The most specific common ancestor is the one with the longest lineage of its own
+    const related = await Promise.all(Array.from(pairs.values(), async ({ informative, ...pair }) => {
+        const depths = await Promise.all(informative.map(async id => (await getLineage(id)).size));
+        const viaId = informative[depths.indexOf(Math.max(...depths))];
+        const known = firstById.get(viaId) || secondById.get(viaId);
+        return { ...pair, via: { id: viaId, name: names.get(viaId) || (known && known.name) || viaId } };
+    }));
+    related.sort((a, b) => b.similarity - a.similarity);
+    
+    return { shared, conflicting, onlyFirst, onlySecond, related, score };
+}
+
+/**
+ * Render the comparison summary and its term lists
+ * @param {Object} comparison - Result of buildProfileComparison
+ * @param {Array<string>} labels - Names of the first and second profile
+ */
+function renderProfileComparison(comparison, labels) {
+    const [firstLabel, secondLabel] = labels.map(escapeHTML);
+    const { shared, conflicting, onlyFirst, onlySecond, related, score } = comparison;
+    const statusText = (term) => term.excluded ? 'excluded' : 'observed';
+    
+    const sections = [
+        ['Shared terms', shared.map(({ term }) => renderComparedTerm(term))],
+        // Status conflicts are rare, so their section only appears when there are some
+        ...(conflicting.length > 0 ? [['Observed in one profile, excluded in the other', conflicting.map(({ term, other }) =>
+            `${renderComparedTerm({ ...term, excluded: false })} <span class="match-ic">${statusText(term)} in ${firstLabel}, ${statusText(other)} in ${secondLabel}</span>`)]] : []),
+        ['Related through a common ancestor', related.map(({ first, second, via, similarity }) =>
+            `${renderComparedTerm(first)} &harr; ${renderComparedTerm(second)} <span class="match-ic">via ${escapeHTML(via.name)} (${escapeHTML(via.id)}), ${Math.round(similarity * 100)}% overlap</span>`)],
+        [`Only in ${firstLabel}`, onlyFirst.map(term => renderComparedTerm(term))],
+        [`Only in ${secondLabel}`, onlySecond.map(term => renderComparedTerm(term)), 'only-second']
+    ];
+    
+    DOM.compare.results.innerHTML = `
+        <p class="compare-score">
+            <strong>${score === null ? 'n/a' : `${Math.round(score * 100)}%`}</strong> similarity
+            <span class="match-ic">(best-match average of shared ancestors over observed terms)</span>
+        </p>
+        ${sections.map(([title, items, id = '']) => `
+            <section class="compare-section"${id ? ` data-section="${id}"` : ''}>
+                <h3>${title} (${items.length})</h3>
+                ${items.length > 0 ?
+                    `<ul role="list">${items.map(item => `<li>${item}</li>`).join('')}</ul>` :
+                    '<p class="panel-status">None</p>'}
+            </section>
+        `).join('')}
+    `;
+    
+    // Terms only in the second profile can be added to the selection
+    DOM.compare.results.querySelectorAll('[data-section="only-second"] li').forEach((item, index) => {
+        const term = onlySecond[index];
+        const addButton = createActionButton('plus-circle', () => {
+            addTermToSelection(term);
+            addButton.disabled = true;
+        }, `Add ${term.name} to selection`);
+        item.appendChild(addButton);
+    });
+    
+    DOM.compare.results.hidden = false;
+}
+
+/**
+ * Render a compared term with its ID and excluded status
+ * @param {Object} term - Term from either profile
+ * @returns {string} HTML
+ */
+function renderComparedTerm(term) {
+    return `<span class="compared-term${term.excluded ? ' excluded' : ''}">${escapeHTML(term.name)} <span class="disease-id">${escapeHTML(term.id)}</span>${term.excluded ? ' <span class="match-ic">(excluded)</span>' : ''}</span>`;
+}
+
+// =============================================================================
+// FAVORITES MANAGEMENT
+// =============================================================================
+
+/**
+ * Load favorites and term usage counts from localStorage, seeding the default group on first use
+ */
+function loadFavorites() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_CONFIG.FAVORITES_KEY));
+        if (saved && Array.isArray(saved.groups)) {
+            AppState.favorites.groups = saved.groups;
+            AppState.favorites.view = saved.view === 'usage' ? 'usage' : 'pinned';
+        } else {
+            AppState.favorites.groups = [{
+                name: FAVORITES_CONFIG.SEED_GROUP,
+                terms: FREQUENT_TERMS.map(term => ({ ...term }))
+            }];
+        }
+        
+        AppState.termUsage = JSON.parse(localStorage.getItem(STORAGE_CONFIG.USAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read saved favorites:', error);
+    }
+    
+    renderFavorites();
+}
+
+/**
+ * Save favorites to localStorage and re-render everything that shows them
+ */
+function saveFavorites() {
+    try {
+        localStorage.setItem(STORAGE_CONFIG.FAVORITES_KEY, JSON.stringify(AppState.favorites));
+    } catch (error) {
+        console.warn('Could not save favorites:', error);
+    }
+    
+    renderFavorites();
+}
+
+/**
+ * Count terms being added to a selection, for the "most used" view
+ * @param {Array} terms - Terms that were added
+ */
+function recordTermUsage(terms) {
+    terms.forEach(term => {
+        const usage = AppState.termUsage[term.id] || { name: term.name, count: 0 };
+        usage.name = term.name || usage.name;
+        usage.count++;
+        AppState.termUsage[term.id] = usage;
+    });
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.USAGE_KEY, JSON.stringify(AppState.termUsage));
+    } catch (error) {
+        console.warn('Could not save term usage:', error);
+    }
+    
+    if (AppState.favorites.view === 'usage') renderFavorites();
+}
+
+/**
+ * Find the favorites group holding a term
+ * @param {string} termId - HPO term ID
+ * @returns {Object|undefined} Group containing the term
+ */
+function findFavoriteGroup(termId) {
+    return AppState.favorites.groups.find(group => group.terms.some(term => term.id === termId));
+}
+
+/**
+ * Pin a term to the default group, or unpin it if it is already a favorite
+ * @param {Object} term - Term with id and name
+ */
+function toggleFavorite(term) {
+    const group = findFavoriteGroup(term.id);
+    
+    if (group) {
+        group.terms = group.terms.filter(favorite => favorite.id !== term.id);
+    } else {
+        getOrCreateFavoriteGroup(FAVORITES_CONFIG.DEFAULT_GROUP).terms.push({ id: term.id, name: term.name });
+    }
+    
+    saveFavorites();
+}
+
+/**
+ * Get a favorites group by name, creating it when it does not exist
+ * @param {string} name - Group name
+ * @returns {Object} Favorites group
+ */
+function getOrCreateFavoriteGroup(name) {
+    let group = AppState.favorites.groups.find(existing => existing.name === name);
+    if (!group) {
+        group = { name, terms: [] };
+        AppState.favorites.groups.push(group);
+    }
+    return group;
+}
+
+/**
+ * Ask for a name and add an empty favorites group
+ */
+function createFavoriteGroup() {
+    const name = prompt('Name for the new favorites group:', '');
+    if (!name || !name.trim()) return;
+    
+    getOrCreateFavoriteGroup(name.trim());
+    AppState.favorites.view = 'pinned';
+    saveFavorites();
+}
+
+/**
+ * Rename a favorites group; renaming onto an existing group merges the two
+ * @param {Object} group - Group to rename
+ */
+function renameFavoriteGroup(group) {
+    const name = prompt('New name for this group:', group.name);
+    if (!name || !name.trim() || name.trim() === group.name) return;
+    
+    const target = AppState.favorites.groups.find(existing => existing.name === name.trim());
+    if (target) {
+        target.terms.push(...group.terms.filter(term => !target.terms.some(existing => existing.id === term.id)));
+        AppState.favorites.groups = AppState.favorites.groups.filter(existing => existing !== group);
+    } else {
+        group.name = name.trim();
+    }
+    
+    saveFavorites();
+}
+
+/**
+ * Delete a favorites group and unpin its terms
+ * @param {Object} group - Group to delete
+ */
+function deleteFavoriteGroup(group) {
+    if (group.terms.length > 0 &&
+        !confirm(`Delete the group "${group.name}" and unpin its ${group.terms.length} terms?`)) {
+        return;
+    }
+    
+    AppState.favorites.groups = AppState.favorites.groups.filter(existing => existing !== group);
+    saveFavorites();
+}
+
+/**
+ * Move a favorite to another group, creating the group if the name is new
+ * @param {Object} term - Favorite term to move
+ */
+function moveFavoriteToGroup(term) {
+    const currentGroup = findFavoriteGroup(term.id);
+    const name = prompt(`Move "${term.name}" to group:`, currentGroup ? currentGroup.name : '');
+    if (!name || !name.trim() || (currentGroup && name.trim() === currentGroup.name)) return;
+    
+    if (currentGroup) {
+        currentGroup.terms = currentGroup.terms.filter(favorite => favorite.id !== term.id);
+    }
+    getOrCreateFavoriteGroup(name.trim()).terms.push({ id: term.id, name: term.name });
+    saveFavorites();
+}
+
+/**
+ * Switch the favorites panel between pinned groups and most used terms
+ * @param {string} view - 'pinned' or 'usage'
+ */
+function setFavoritesView(view) {
+    AppState.favorites.view = view;
+    saveFavorites();
+}
+
+/**
+ * Render the favorites panel and refresh every pin toggle on the page.
+ * Every favorites change passes through here.
+ */
+function renderFavorites() {
+    DOM.favorites.viewButtons.forEach(button => {
+        const isActive = button.dataset.view === AppState.favorites.view;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    DOM.favorites.newGroupBtn.hidden = AppState.favorites.view !== 'pinned';
+    
+    DOM.favorites.container.innerHTML = '';
+    
+    if (AppState.favorites.view === 'usage') {
+        renderMostUsedTerms();
+    } else {
+        renderFavoriteGroups();
+    }
+    
+    refreshFavoriteToggles();
+}
+
+/**
+ * Render pinned favorites, one list per group
+ */
+function renderFavoriteGroups() {
+    const groups = AppState.favorites.groups;
+    
+    if (groups.length === 0) {
+        DOM.favorites.container.innerHTML =
+            '<p class="favorites-empty">No favorites yet. Pin terms with the <i class="far fa-star"></i> icon.</p>';
+        return;
+    }
+    
+    groups.forEach(group => {
+        const section = document.createElement('div');
+        section.className = 'favorite-group';
+        section.innerHTML = `
+            <h3>
+                <span>${escapeHTML(group.name)}</span>
+                <button class="favorite-group-btn rename-group-btn" title="Rename group">
+                    <i class="fas fa-pen" aria-hidden="true"></i><span class="sr-only">Rename ${escapeHTML(group.name)}</span>
+                </button>
+                <button class="favorite-group-btn delete-group-btn" title="Delete group">
+                    <i class="fas fa-trash" aria-hidden="true"></i><span class="sr-only">Delete ${escapeHTML(group.name)}</span>
+                </button>
+            </h3>
+            <ul class="favorites-list" role="list"></ul>
+        `;
+        
+        section.querySelector('.rename-group-btn').addEventListener('click', () => renameFavoriteGroup(group));
+        section.querySelector('.delete-group-btn').addEventListener('click', () => deleteFavoriteGroup(group));
+        
+        const list = section.querySelector('.favorites-list');
+        if (group.terms.length === 0) {
+            list.innerHTML = '<li class="favorites-empty">Empty group</li>';
+        }
+        group.terms.forEach(term => list.appendChild(createFavoriteListItem(term)));
+        
+        DOM.favorites.container.appendChild(section);
+    });
+}
+
+/**
+ * Render the terms this user has added most often
+ */
+function renderMostUsedTerms() {
+    const terms = Object.entries(AppState.termUsage)
+        .map(([id, usage]) => ({ id, name: usage.name, count: usage.count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, FAVORITES_CONFIG.MOST_USED_LIMIT);
+    
+    if (terms.length === 0) {
+        DOM.favorites.container.innerHTML =
+            '<p class="favorites-empty">Terms you add to a selection will appear here.</p>';
+        return;
+    }
+    
+    const list = document.createElement('ul');
+    list.className = 'favorites-list';
+    list.setAttribute('role', 'list');
+    terms.forEach(term => list.appendChild(createFavoriteListItem(term, term.count)));
+    DOM.favorites.container.appendChild(list);
+}
+
+/**
+ * Create a list item for favorites
+ * @param {Object} term - Term object for favorite item
+ * @param {number} [count] - Times the term was added, shown in the most used view
+ * @returns {HTMLLIElement} Configured favorite list item
+ */
+function createFavoriteListItem(term, count) {
+    const isPinnedView = count === undefined;
+    const li = document.createElement('li');
+    li.className = 'favorite-item';
+    li.innerHTML = `
+        <button class="favorite-add" title="Add to selection">
+            ${escapeHTML(term.name)} (${escapeHTML(term.id)})${isPinnedView ? '' : ` <span class="usage-count">&times;${count}</span>`}
+        </button>
+        ${isPinnedView ? `
+            <button class="favorite-item-btn move-favorite-btn" title="Move to group">
+                <i class="fas fa-folder-open" aria-hidden="true"></i><span class="sr-only">Move ${escapeHTML(term.name)} to group</span>
+            </button>` : ''}
+        <button class="favorite-item-btn favorite-toggle" data-id="${escapeHTML(term.id)}"></button>
+    `;
+    
+    li.querySelector('.favorite-add').addEventListener('click', () => addTermToSelection(term));
+    li.querySelector('.favorite-toggle').addEventListener('click', () => toggleFavorite(term));
+    if (isPinnedView) {
+        li.querySelector('.move-favorite-btn').addEventListener('click', () => moveFavoriteToGroup(term));
+    }
+    
+    return li;
+}
+
+/**
+ * Sync every pin toggle (favorites panel, search results, term modal) with the favorites
+ */
+function refreshFavoriteToggles() {
+    document.querySelectorAll('.favorite-toggle').forEach(button => {
+        updateFavoriteToggle(button, Boolean(findFavoriteGroup(button.dataset.id)));
+    });
+    
+    const term = AppState.currentTerm;
+    const isPinned = Boolean(term && findFavoriteGroup(term.id));
+    DOM.modal.favoriteBtn.innerHTML = isPinned ?
+        '<i class="fas fa-star" aria-hidden="true"></i> Unpin from Favorites' :
+        '<i class="far fa-star" aria-hidden="true"></i> Pin to Favorites';
+}
+
+/**
+ * Show whether a term is pinned on a star toggle button
+ * @param {HTMLButtonElement} button - Toggle button
+ * @param {boolean} isPinned - Whether the term is a favorite
+ */
+function updateFavoriteToggle(button, isPinned) {
+    const label = isPinned ? 'Unpin from favorites' : 'Pin to favorites';
+    button.innerHTML = `<i class="${isPinned ? 'fas' : 'far'} fa-star" aria-hidden="true"></i>`;
+    button.classList.toggle('pinned', isPinned);
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.setAttribute('aria-pressed', String(isPinned));
+}
+
+/**
+ * Download the favorites as a JSON preset
+ */
+function exportFavorites() {
+    const preset = {
+        format: FAVORITES_CONFIG.FILE_FORMAT,
+        version: FAVORITES_CONFIG.FILE_VERSION,
+        groups: AppState.favorites.groups
+    };
+    
+    downloadFile(JSON.stringify(preset, null, 2), 'hpo-favorites.json', 'application/json');
+}
+
+/**
+ * Handle a favorites preset chosen with the file picker
+ * @param {Event} event - Change event from the file input
+ */
+async function handleFavoritesImportSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    
+    try {
+        const imported = parseFavoritesPreset(await file.text());
+        const added = mergeFavoriteGroups(imported);
+        AppState.favorites.view = 'pinned';
+        saveFavorites();
+        alert(`Imported ${imported.length} groups from ${file.name} (${added} new favorites).`);
+    } catch (error) {
+        console.error('Favorites import failed:', error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Parse and validate a favorites preset file
+ * @param {string} text - JSON file contents
+ * @returns {Array<Object>} Groups of valid terms
+ */
+function parseFavoritesPreset(text) {
+    let preset;
+    try {
+        preset = JSON.parse(text);
+    } catch (error) {
+        throw new Error('the file is not valid JSON.');
+    }
+    
+    if (!preset || preset.format !== FAVORITES_CONFIG.FILE_FORMAT || !Array.isArray(preset.groups)) {
+        throw new Error('the file is not an HPO Portal favorites preset.');
+    }
+    
+    return preset.groups
+        .filter(group => group && typeof group.name === 'string' && group.name.trim() && Array.isArray(group.terms))
+        .map(group => ({
+            name: group.name.trim(),
+            terms: group.terms
+                .filter(term => term && /^HP:\d{7}$/.test(term.id))
+                .map(term => ({ id: term.id, name: String(term.name || term.id) }))
+        }));
+}
+
+/**
+ * Merge imported groups into the favorites. Groups are matched by name; a term that is
+ * already pinned stays in its current group.
+ * @param {Array<Object>} groups - Groups to merge
+ * @returns {number} Number of newly pinned terms
+ */
+function mergeFavoriteGroups(groups) {
+    let added = 0;
+    
+    groups.forEach(imported => {
+        const group = getOrCreateFavoriteGroup(imported.name);
+        imported.terms.forEach(term => {
+            if (findFavoriteGroup(term.id)) return;
+            group.terms.push(term);
+            added++;
+        });
+    });
+    
+    return added;
+}
+
+// =============================================================================
+// EXPORT FUNCTIONALITY
+// =============================================================================
+
+/**
+ * Open the export dialog with the last used format
+ */
+async function openExportDialog() {
+    if (AppState.selectedTerms.length === 0) return;
+    if (!(await confirmRedundancyBeforeExport())) return;
+    
+    const savedFormat = localStorage.getItem(STORAGE_CONFIG.EXPORT_FORMAT_KEY);
+    DOM.export.formatSelect.innerHTML = EXPORTERS
+        .map(exporter => `<option value="${exporter.id}">${escapeHTML(exporter.label)}</option>`)
+        .join('');
+    DOM.export.formatSelect.value = EXPORTERS.some(exporter => exporter.id === savedFormat) ? savedFormat : EXPORTERS[0].id;
+    
+    // The data source may have changed since the dialog was last open
+    AppState.exportPreview.releaseVersion = undefined;
+    
+    loadExportOptions();
+    renderExportOptions();
+    openDialog(DOM.export.container);
+    await updateExportPreview();
+}
+
+/**
+ * Read the remembered export option values from localStorage
+ */
+function loadExportOptions() {
+    try {
+        AppState.exportOptions = JSON.parse(localStorage.getItem(STORAGE_CONFIG.EXPORT_OPTIONS_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read export options:', error);
+        AppState.exportOptions = {};
+    }
+}
+
+/**
+ * Get the current value of an export option, falling back to its default
+ * @param {string} key - Option key in EXPORT_OPTIONS
+ * @returns {string} Option value
+ */
+function getExportOption(key) {
+    const value = AppState.exportOptions[key];
+    return value !== undefined ? value : EXPORT_OPTIONS[key].default;
+}
+
+/**
+ * Render the option fields of the chosen exporter
+ */
+function renderExportOptions() {
+    const optionKeys = getSelectedExporter().options || [];
+    
+    DOM.export.options.hidden = optionKeys.length === 0;
+    DOM.export.options.innerHTML = optionKeys.map(key => {
+        const option = EXPORT_OPTIONS[key];
+        const value = getExportOption(key);
+        const choices = typeof option.choices === 'function' ? option.choices() : option.choices;
+        const field = option.type === 'select' ?
+            `<select data-option="${key}">
+                ${choices.map(choice => `
+                    <option value="${choice.value}" ${choice.value === value ? 'selected' : ''}>${escapeHTML(choice.label)}</option>
+                `).join('')}
+            </select>` :
+            `<input type="text" data-option="${key}" placeholder="${escapeHTML(option.placeholder)}">`;
+        
+        return `<label>${escapeHTML(option.label)} ${field}</label>`;
+    }).join('');
+    
+    DOM.export.options.querySelectorAll('[data-option]').forEach(field => {
+        // Text values are set as a property so quotes in a remembered path cannot break the field
+        if (field.tagName === 'INPUT') field.value = getExportOption(field.dataset.option);
+        
+        field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => {
+            setExportOption(field.dataset.option, field.value);
+        });
+    });
+}
+
+/**
+ * Remember an export option value and refresh the preview
+ * @param {string} key - Option key in EXPORT_OPTIONS
+ * @param {string} value - New value
+ */
+function setExportOption(key, value) {
+    AppState.exportOptions[key] = value;
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.EXPORT_OPTIONS_KEY, JSON.stringify(AppState.exportOptions));
+    } catch (error) {
+        console.warn('Could not save export options:', error);
+    }
+    
+    updateExportPreview();
+}
+
+/**
+ * Get the exporter chosen in the export dialog
+ * @returns {Object} Exporter from EXPORTERS
+ */
+function getSelectedExporter() {
+    return EXPORTERS.find(exporter => exporter.id === DOM.export.formatSelect.value) || EXPORTERS[0];
+}
+
+/**
+ * Generate the chosen format and show it in the preview
+ */
+async function updateExportPreview() {
+    const loadId = ++AppState.exportPreview.loadId;
+    const exporter = getSelectedExporter();
+    const preview = AppState.exportPreview;
+    
+    try {
+        localStorage.setItem(STORAGE_CONFIG.EXPORT_FORMAT_KEY, exporter.id);
+    } catch (error) {
+        console.warn('Could not save export format:', error);
+    }
+    preview.content = '';
+    DOM.export.preview.value = '';
+    DOM.export.copyBtn.disabled = true;
+    DOM.export.downloadBtn.disabled = true;
+    DOM.export.status.textContent = exporter.needsDefinitions ? 'Fetching term definitions...' : '';
+    DOM.export.warning.hidden = true;
+    let warnings = [];
+    
+    try {
+        if (exporter.needsDefinitions) {
+            await loadExportDefinitions(AppState.selectedTerms);
+            if (loadId !== preview.loadId) return;
+        }
+        if (exporter.needsReleaseVersion && preview.releaseVersion === undefined) {
+            preview.releaseVersion = await fetchReleaseVersion();
+            if (loadId !== preview.loadId) return;
+        }
+        
+        const options = {};
+        (exporter.options || []).forEach(key => {
+            options[key] = getExportOption(key).trim();
+        });
+        
+        // Translated labels replace the English ones; IDs are never changed
+        const translate = options.labelLanguage === 'translation' && AppState.translation;
+        
+        const context = {
+            terms: translate ? AppState.selectedTerms.map(translateTermRecord) : AppState.selectedTerms,
+            sampleId: getSampleId(),
+            definitions: translate ? translateDefinitions(preview.definitions) : preview.definitions,
+            releaseVersion: preview.releaseVersion,
+            options
+        };
+        preview.content = exporter.build(context);
+        warnings = exporter.warnings ? exporter.warnings(context) : [];
+    } catch (error) {
+        if (loadId !== preview.loadId) return;
+        DOM.export.status.textContent = `Cannot export ${exporter.label}: ${error.message}`;
+        return;
+    }
+    
+    DOM.export.status.textContent = exporter.description;
+    DOM.export.warning.textContent = warnings.join(' ');
+    DOM.export.warning.hidden = warnings.length === 0;
+    DOM.export.preview.value = preview.content;
+    DOM.export.copyBtn.disabled = false;
+    DOM.export.downloadBtn.disabled = false;
+}
+
+/**
+ * Find out which HPO release the exported terms come from
+ * @returns {Promise<string|null>} Promise resolving to the loaded release, the one reported by
+ *     the data provider, or null when neither is known
+ */
+async function fetchReleaseVersion() {
+    if (AppState.ontology) return AppState.ontology.version || null;
+    
+    try {
+        return await queryDataProvider('releaseVersion');
+    } catch (error) {
+        console.warn('Could not look up the HPO release version:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch definitions for terms that do not have one yet
+ * @param {Array} terms - Selected terms
+ */
+async function loadExportDefinitions(terms) {
+    const definitions = AppState.exportPreview.definitions;
+    const missing = terms.filter(term => !definitions.has(term.id));
+    
+    const results = await Promise.all(missing.map(term => fetchDefinitionText(term.id)));
+    // Failed lookups are not cached so the next preview retries them
+    missing.forEach((term, index) => {
+        if (results[index] !== null) definitions.set(term.id, results[index]);
+    });
+}
+
+/**
+ * Download the previewed export
+ */
+function downloadExportContent() {
+    const exporter = getSelectedExporter();
+    
+    downloadFile(AppState.exportPreview.content, exporter.fileName(getSampleId()), exporter.mimeType);
+    
+    // The selection is the saved case, so only clear it when the user agrees
+    if (exporter.clearsSelection &&
+        confirm(`Clear the ${AppState.selectedTerms.length} selected terms from this case now that they are downloaded? ` +
+            'Their modifiers and notes are removed too.')) {
+        closeDialog(DOM.export.container);
+        clearAllSelections();
+    }
+}
+
+/**
+ * Copy the previewed export to the clipboard
+ */
+async function copyExportContent() {
+    try {
+        await navigator.clipboard.writeText(AppState.exportPreview.content);
+        DOM.export.status.textContent = 'Copied to clipboard.';
+    } catch (error) {
+        console.error('Failed to copy export:', error);
+        alert('Failed to copy to clipboard.');
+    }
+}
+
+/**
+ * Build the re-importable tab-separated HPO list.
+ * Excluded terms are written with a leading "!" before the name
+ * @param {Object} context - Export context
+ * @returns {string} File contents
+ */
+function buildHPOList({ terms }) {
+    return terms
+        .map(term => [`${term.excluded ? '!' : ''}${term.name}`, term.id, ...formatModifierColumns(term)].join('\t'))
+        .join('\n');
+}
+
+/**
+ * Build a TSV or CSV table with one row per term
+ * @param {Object} context - Export context
+ * @param {string} delimiter - Column separator
+ * @returns {string} File contents
+ */
+function buildDelimitedTable({ terms, definitions }, delimiter) {
+    const modifierKeys = Object.keys(TERM_MODIFIERS);
+    const header = ['ID', 'Name', 'Definition', 'Status', ...modifierKeys.map(key => TERM_MODIFIERS[key].label), 'Note'];
+    
+    const rows = terms.map(term => [
+        term.id,
+        term.name,
+        definitions.get(term.id) || '',
+        term.excluded ? 'excluded' : 'observed',
+        ...modifierKeys.map(key => formatModifierValue(key, term[key])),
+        term.note || ''
+    ]);
+    
+    return [header, ...rows]
+        .map(row => row.map(value => formatDelimitedValue(value, delimiter)).join(delimiter))
+        .join('\n');
+}
+
+/**
+ * Make a value safe for a delimited file: quote it for CSV, flatten whitespace for TSV
+ * @param {string} value - Cell value
+ * @param {string} delimiter - Column separator
+ * @returns {string} Cell text
+ */
+function formatDelimitedValue(value, delimiter) {
+    const text = String(value);
+    if (delimiter === '\t') return text.replace(/\s+/g, ' ');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a modifier as "Label (HP:...)" for tables and summaries
+ * @param {string} key - Modifier key in TERM_MODIFIERS
+ * @param {string} id - HPO ID of the chosen option
+ * @returns {string} Formatted modifier, or an empty string when unset
+ */
+function formatModifierValue(key, id) {
+    const option = id && getModifierOption(key, id);
+    return option ? `${option.name} (${option.id})` : '';
 }
 
 /**
- * Set up gene copy to clipboard functionality
+ * Build a JSON document of the selection
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-function setupGeneCopyFunctionality() {
-    const copyButton = document.getElementById('copyGenesBtn');
-    if (!copyButton) return;
-    
-    // Replace button to remove existing event listeners
-    const newButton = copyButton.cloneNode(true);
-    copyButton.parentNode.replaceChild(newButton, copyButton);
+function buildJSONExport({ terms, sampleId, definitions }) {
+    const exportDocument = {
+        sampleId,
+        exported: new Date().toISOString(),
+        terms: terms.map(term => {
+            const modifiers = {};
+            Object.keys(TERM_MODIFIERS).forEach(key => {
+                const option = term[key] && getModifierOption(key, term[key]);
+                if (option) modifiers[key] = { id: option.id, label: option.name };
+            });
+            
+            return {
+                id: term.id,
+                name: term.name,
+                definition: definitions.get(term.id) || '',
+                excluded: Boolean(term.excluded),
+                ...modifiers,
+                ...(term.note && { note: term.note })
+            };
+        })
+    };
     
-    newButton.addEventListener('click', copyGenesToClipboard);
+    return JSON.stringify(exportDocument, null, 2);
 }
 
 /**
- * Copy genes to clipboard from modal
+ * Build a Markdown clinical summary listing observed and excluded features
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-async function copyGenesToClipboard() {
-    const geneChips = DOM.modal.genes?.querySelectorAll('.gene-chip');
-    
-    if (!geneChips || geneChips.length === 0) {
-        alert('No genes to copy.');
-        return;
-    }
+function buildClinicalSummary({ terms, sampleId }) {
+    const describe = (term) => {
+        const modifiers = Object.keys(TERM_MODIFIERS)
+            .map(key => term[key] && getModifierOption(key, term[key]))
+            .filter(Boolean)
+            .map(option => option.name);
+        const details = modifiers.length > 0 ? `: ${modifiers.join(', ')}` : '';
+        const note = term.note ? `. Note: ${term.note}` : '';
+        return `- ${term.name} (${term.id})${details}${note}`;
+    };
     
-    const genes = Array.from(geneChips).map(chip => chip.textContent.trim());
-    const geneList = genes.join('||');
+    const observed = terms.filter(term => !term.excluded);
+    const excluded = terms.filter(term => term.excluded);
+    const lines = [`# Phenotype summary${sampleId ? `: ${sampleId}` : ''}`, ''];
     
-    try {
-        await navigator.clipboard.writeText(geneList);
-        showCopySuccessFeedback();
-    } catch (error) {
-        console.error('Failed to copy genes:', error);
-        alert('Failed to copy genes to clipboard.');
+    if (observed.length > 0) {
+        lines.push(`## Observed features (${observed.length})`, '', ...observed.map(describe), '');
     }
+    if (excluded.length > 0) {
+        lines.push(`## Excluded features (${excluded.length})`, '', ...excluded.map(describe), '');
+    }
+    
+    return lines.join('\n').trim() + '\n';
 }
 
 /**
- * Show copy success feedback
+ * Build a comma-separated list of observed term IDs
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-function showCopySuccessFeedback() {
-    const button = document.getElementById('copyGenesBtn');
-    const originalHTML = button.innerHTML;
+function buildIdList({ terms }) {
+    const observed = terms.filter(term => !term.excluded);
+    if (observed.length === 0) throw new Error('the selection has no observed terms.');
     
-    button.innerHTML = '<i class="fas fa-check"></i>';
-    
-    setTimeout(() => {
-        button.innerHTML = originalHTML;
-    }, 1200);
+    return observed.map(term => term.id).join(',');
 }
 
 /**
- * Set up disease copy functionality
+ * Build an Exomiser analysis YAML for the observed terms
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-function setupDiseaseCopyFunctionality() {
-    const copyButton = document.getElementById('copyDiseasesBtn');
-    if (!copyButton) return;
+function buildExomiserAnalysis({ terms, sampleId, options }) {
+    const hpoIds = terms.filter(term => !term.excluded).map(term => term.id);
+    if (hpoIds.length === 0) throw new Error('the selection has no observed terms.');
+    if (!options.vcfPath) throw new Error('enter the path of the VCF file.');
     
-    // replace to remove old listeners
-    const newButton = copyButton.cloneNode(true);
-    copyButton.parentNode.replaceChild(newButton, copyButton);
+    const inheritanceModes = Object.entries(EXOMISER_CONFIG.INHERITANCE_PRESETS[options.inheritance])
+        .map(([mode, maxFrequency]) => `${mode}: ${maxFrequency.toFixed(1)}`);
     
-    newButton.addEventListener('click', copyDiseasesToClipboard);
+    return [
+        '---',
+        `# Exomiser analysis generated by ${PHENOPACKET_CONFIG.CREATED_BY}`,
+        'analysis:',
+        `  genomeAssembly: ${options.genomeAssembly}`,
+        `  vcf: ${toYAMLString(options.vcfPath)}`,
+        '  ped:',
+        ...(sampleId ? [`  proband: ${toYAMLString(sampleId)}`] : []),
+        `  hpoIds: ${toYAMLList(hpoIds.map(toYAMLString))}`,
+        `  inheritanceModes: {${inheritanceModes.join(', ')}}`,
+        '  analysisMode: PASS_ONLY',
+        `  frequencySources: ${toYAMLList(EXOMISER_CONFIG.FREQUENCY_SOURCES)}`,
+        `  pathogenicitySources: ${toYAMLList(EXOMISER_CONFIG.PATHOGENICITY_SOURCES)}`,
+        '  steps:',
+        '    - failedVariantFilter: {}',
+        `    - variantEffectFilter: {remove: ${toYAMLList(EXOMISER_CONFIG.REMOVED_VARIANT_EFFECTS)}}`,
+        '    - frequencyFilter: {maxFrequency: 2.0}',
+        '    - pathogenicityFilter: {keepNonPathogenic: true}',
+        '    - inheritanceFilter: {}',
+        '    - omimPrioritiser: {}',
+        '    - hiPhivePrioritiser: {}',
+        'outputOptions:',
+        '  outputContributingVariantsOnly: false',
+        '  numGenes: 0',
+        '  outputDirectory: results',
+        `  outputFileName: ${toYAMLString(`${sampleId || 'sample'}-exomiser`)}`,
+        `  outputFormats: ${toYAMLList(EXOMISER_CONFIG.OUTPUT_FORMATS)}`,
+        ''
+    ].join('\n');
 }
 
 /**
- * Copy diseases to clipboard from modal
+ * Build a LIRICAL YAML configuration with observed and negated terms
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-async function copyDiseasesToClipboard() {
-    const diseaseItems = DOM.modal.diseases?.querySelectorAll('li');
-    if (!diseaseItems || diseaseItems.length === 0) {
-        alert('No diseases to copy.');
-        return;
+function buildLiricalConfig({ terms, sampleId, options }) {
+    const hpoIds = terms.filter(term => !term.excluded).map(term => term.id);
+    const negatedHpoIds = terms.filter(term => term.excluded).map(term => term.id);
+    if (hpoIds.length === 0) throw new Error('the selection has no observed terms.');
+    if (options.vcfPath && !options.exomiserDataPath) {
+        throw new Error('enter the Exomiser data directory to analyse a VCF.');
     }
     
-    const diseases = Array.from(diseaseItems).map(li => li.textContent.trim());
-    const diseaseList = diseases.join('\n');
-    
-    try {
-        await navigator.clipboard.writeText(diseaseList);
-        showDiseaseCopySuccessFeedback();
-    } catch (error) {
-        console.error('Failed to copy diseases:', error);
-        alert('Failed to copy diseases to clipboard.');
-    }
+    return [
+        '---',
+        `# LIRICAL configuration generated by ${PHENOPACKET_CONFIG.CREATED_BY}`,
+        'analysis:',
+        `  genomeAssembly: ${options.genomeAssembly}`,
+        ...(options.vcfPath ? [`  vcf: ${toYAMLString(options.vcfPath)}`] : []),
+        ...(options.exomiserDataPath ? [`  exomiser: ${toYAMLString(options.exomiserDataPath)}`] : []),
+        '  datadir: data',
+        ...(sampleId ? [`sampleId: ${toYAMLString(sampleId)}`] : []),
+        `hpoIds: ${toYAMLList(hpoIds.map(toYAMLString))}`,
+        `negatedHpoIds: ${toYAMLList(negatedHpoIds.map(toYAMLString))}`,
+        'outdir: results',
+        `prefix: ${toYAMLString(sampleId || 'lirical')}`,
+        ''
+    ].join('\n');
 }
 
 /**
- * Show success feedback for disease copy
+ * Quote a value as a single-quoted YAML string
+ * @param {string} value - Value to quote
+ * @returns {string} YAML scalar
  */
-function showDiseaseCopySuccessFeedback() {
-    const button = document.getElementById('copyDiseasesBtn');
-    const originalHTML = button.innerHTML;
-    
-    button.innerHTML = '<i class="fas fa-check"></i>';
-    
-    setTimeout(() => {
-        button.innerHTML = originalHTML;
-    }, 1200);
+function toYAMLString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
 }
 
 /**
- * Close modal dialog
+ * Format values as a YAML flow sequence
+ * @param {Array<string>} values - Already formatted YAML scalars
+ * @returns {string} YAML flow sequence
  */
-function closeModal() {
-    DOM.modal.container.style.display = 'none';
-    AppState.currentTerm = null;
+function toYAMLList(values) {
+    return `[${values.join(', ')}]`;
 }
 
 /**
- * Add current modal term to selection
+ * Build and validate a Phenopacket export
+ * @param {Object} context - Export context
+ * @returns {string} File contents
  */
-function addCurrentTermFromModal() {
-    if (AppState.currentTerm) {
-        addTermToSelection(AppState.currentTerm);
-        closeModal();
-    }
+function buildPhenopacketExport({ terms, sampleId, releaseVersion }) {
+    const phenopacket = buildPhenopacket(terms, sampleId, releaseVersion);
+    const errors = validatePhenopacket(phenopacket);
+    
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    
+    return JSON.stringify(phenopacket, null, 2);
 }
 
-// =============================================================================
-// SELECTION MANAGEMENT
-// =============================================================================
-
 /**
- * Add term to selection if not already present
- * @param {Object} term - Term object to add to selection
+ * Build a Phenopacket v2 document from selected terms
+ * @param {Array} terms - Selected term objects
+ * @param {string} sampleId - Sample name used as the subject/individual ID
+ * @param {string|null} releaseVersion - HPO release; left out when unknown
+ * @returns {Object} Phenopacket document
  */
-function addTermToSelection(term) {
-    if (AppState.selectedTerms.some(selected => selected.id === term.id)) {
-        return; // Term already in selection
-    }
-    
-    AppState.selectedTerms.push(term);
-    renderSelectionList();
-    updateExportButtonState();
+function buildPhenopacket(terms, sampleId, releaseVersion) {
+    const { RESOURCE } = PHENOPACKET_CONFIG;
+
+    return {
+        id: sampleId ? `${sampleId}-phenopacket` : '',
+        subject: {
+            id: sampleId
+        },
+        phenotypicFeatures: terms.map(term => ({
+            type: {
+                id: term.id,
+                label: term.name
+            },
+            ...(term.excluded && { excluded: true }),
+            ...buildPhenopacketModifiers(term)
+        })),
+        metaData: {
+            created: new Date().toISOString(),
+            createdBy: PHENOPACKET_CONFIG.CREATED_BY,
+            resources: [{
+                ...RESOURCE,
+                ...(releaseVersion && { version: releaseVersion })
+            }],
+            phenopacketSchemaVersion: PHENOPACKET_CONFIG.SCHEMA_VERSION
+        }
+    };
 }
 
 /**
- * Remove term from selection by ID
- * @param {string} termId - ID of term to remove
+ * Check a Phenopacket document for the fields required by the v2 schema
+ * @param {Object} phenopacket - Document built by buildPhenopacket
+ * @returns {Array<string>} Validation error messages (empty when valid)
  */
-function removeTermFromSelection(termId) {
-    AppState.selectedTerms = AppState.selectedTerms.filter(term => term.id !== termId);
-    renderSelectionList();
-    updateExportButtonState();
+function validatePhenopacket(phenopacket) {
+    const errors = [];
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isOntologyClass = (value) => value &&
+        /^[A-Za-z][\w.-]*:\S+$/.test(value.id) && isNonEmptyString(value.label);
+
+    if (!isNonEmptyString(phenopacket.id)) errors.push('id is required');
+    if (!phenopacket.subject || !isNonEmptyString(phenopacket.subject.id)) {
+        errors.push('subject.id is required - enter a sample name');
+    }
+
+    const features = phenopacket.phenotypicFeatures || [];
+    if (features.length === 0) errors.push('at least one phenotypicFeature is required');
+    features.forEach((feature, index) => {
+        if (!isOntologyClass(feature.type)) {
+            errors.push(`phenotypicFeatures[${index}].type needs a CURIE id and a label`);
+        }
+        if (feature.onset && !isOntologyClass(feature.onset.ontologyClass)) {
+            errors.push(`phenotypicFeatures[${index}].onset needs an ontologyClass`);
+        }
+        if (feature.severity && !isOntologyClass(feature.severity)) {
+            errors.push(`phenotypicFeatures[${index}].severity needs a CURIE id and a label`);
+        }
+        (feature.modifiers || []).forEach((modifier, modifierIndex) => {
+            if (!isOntologyClass(modifier)) {
+                errors.push(`phenotypicFeatures[${index}].modifiers[${modifierIndex}] needs a CURIE id and a label`);
+            }
+        });
+    });
+
+    const metaData = phenopacket.metaData;
+    if (!metaData) {
+        errors.push('metaData is required');
+        return errors;
+    }
+
+    if (isNaN(Date.parse(metaData.created))) errors.push('metaData.created must be a timestamp');
+    if (!isNonEmptyString(metaData.createdBy)) errors.push('metaData.createdBy is required');
+    if (metaData.phenopacketSchemaVersion !== PHENOPACKET_CONFIG.SCHEMA_VERSION) {
+        errors.push(`metaData.phenopacketSchemaVersion must be "${PHENOPACKET_CONFIG.SCHEMA_VERSION}"`);
+    }
+
+    const resources = metaData.resources || [];
+    if (resources.length === 0) errors.push('metaData.resources must list the ontologies used');
+    resources.forEach((resource, index) => {
+        ['id', 'name', 'url', 'namespacePrefix', 'iriPrefix'].forEach(field => {
+            if (!isNonEmptyString(resource[field])) errors.push(`metaData.resources[${index}].${field} is required`);
+        });
+        // The release is recommended but optional; the export dialog warns when it is missing
+        if ('version' in resource && !isNonEmptyString(resource.version)) {
+            errors.push(`metaData.resources[${index}].version must not be empty`);
+        }
+    });
+
+    return errors;
 }
 
 /**
- * Clear all selections
+ * Read the optional sample name entered above the application card
+ * @returns {string} Trimmed sample ID, or an empty string
  */
-function clearAllSelections() {
-    AppState.selectedTerms = [];
-    renderSelectionList();
-    updateExportButtonState();
+function getSampleId() {
+    const sampleIdInput = document.getElementById('sample_id');
+    return sampleIdInput ? sampleIdInput.value.trim() : '';
 }
 
 /**
- * Render the selection list in the UI
+ * Trigger a browser download of generated content
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
  */
-function renderSelectionList() {
-    DOM.selection.list.innerHTML = '';
-    DOM.selection.count.textContent = `${AppState.selectedTerms.length} terms`;
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const downloadLink = document.createElement('a');
     
-    if (AppState.selectedTerms.length === 0) {
-        DOM.selection.list.innerHTML = UI_STATES.EMPTY_SELECTION.html;
-        return;
-    }
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
     
-    AppState.selectedTerms.forEach(term => {
-        const listItem = createSelectionListItem(term);
-        DOM.selection.list.appendChild(listItem);
-    });
+    // Clean up
+    setTimeout(() => {
+        document.body.removeChild(downloadLink);
+        URL.revokeObjectURL(url);
+    }, 100);
 }
 
+// =============================================================================
+// IMPORT FUNCTIONALITY
+// =============================================================================
+
 /**
- * Create a list item for the selection list
- * @param {Object} term - Term object to create item for
- * @returns {HTMLLIElement} Configured list item
+ * Handle selection of a previously exported file from the import picker
+ * @param {Event} event - Change event from the file input
  */
-function createSelectionListItem(term) {
-    const li = document.createElement('li');
-    li.className = 'selected-item';
-    li.innerHTML = `
-        <div>
-            <strong>${escapeHTML(term.name)}</strong>
-            <div>${escapeHTML(term.id)}</div>
-        </div>
-        <button class="remove-btn" data-id="${term.id}">
-            <i class="fas fa-trash"></i>
-        </button>
-    `;
+function handleImportFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) importSelectionFile(file);
     
-    const removeButton = li.querySelector('.remove-btn');
-    removeButton.addEventListener('click', () => removeTermFromSelection(term.id));
-    
-    return li;
+    // Allow the same file to be imported again later
+    event.target.value = '';
 }
 
 /**
- * Update export button state based on selection
+ * Highlight the selection panel while a file is dragged over it
+ * @param {DragEvent} event - Dragover event
  */
-function updateExportButtonState() {
-    DOM.selection.exportBtn.disabled = AppState.selectedTerms.length === 0;
+function handleImportDragOver(event) {
+    event.preventDefault();
+    DOM.selection.dropZone.classList.add('drag-over');
 }
 
-// =============================================================================
-// API INTEGRATION FUNCTIONS
-// =============================================================================
-
 /**
- * Fetch term definition from JAX API
- * @param {string} hpId - HPO term ID
- * @returns {Promise<string>} Promise resolving to definition string
+ * Remove the drop highlight when the drag leaves the selection panel
  */
-async function fetchTermDefinition(hpId) {
-    try {
-        const response = await fetch(API_CONFIG.JAX_TERM(hpId));
-        
-        if (response.ok) {
-            const data = await response.json();
-            return data.definition || 'No definition available';
-        }
-    } catch (error) {
-        console.warn('Failed to fetch definition for', hpId, error);
-    }
-    
-    return 'Definition not available';
+function handleImportDragLeave() {
+    DOM.selection.dropZone.classList.remove('drag-over');
 }
 
 /**
- * Fetch term synonyms from JAX API
- * @param {string} hpId - HPO term ID
- * @returns {Promise<Array>} Promise resolving to synonyms array
+ * Import a file dropped onto the selection panel
+ * @param {DragEvent} event - Drop event
  */
-async function fetchTermSynonyms(hpId) {
-    try {
-        const response = await fetch(API_CONFIG.JAX_TERM(hpId));
-        
-        if (response.ok) {
-            const data = await response.json();
-            return data.synonyms || [];
-        }
-    } catch (error) {
-        console.warn('Failed to fetch synonyms for', hpId, error);
-    }
+function handleImportDrop(event) {
+    event.preventDefault();
+    handleImportDragLeave();
     
-    return [];
+    const file = event.dataTransfer.files[0];
+    if (file) importSelectionFile(file);
 }
 
 /**
- * Fetch comprehensive annotations from JAX API
- * @param {string} hpId - HPO term ID
- * @returns {Promise<Object>} Promise resolving to annotation data object
+ * Replace the selection with the terms from an exported .hpo/.txt file
+ * @param {File} file - File written by the HPO list exporter
  */
-async function fetchJAXAnnotations(hpId) {
-    try {
-        const [annotationsResp, termResp, parentsResp, childrenResp] = await Promise.all([
-            fetch(API_CONFIG.JAX_ANNOTATIONS(hpId)),
-            fetch(API_CONFIG.JAX_TERM(hpId)),
-            fetch(API_CONFIG.JAX_PARENTS(hpId)),
-            fetch(API_CONFIG.JAX_CHILDREN(hpId))
-        ]);
+async function importSelectionFile(file) {
+    if (AppState.selectedTerms.length > 0 &&
+        !confirm(`Replace the ${AppState.selectedTerms.length} selected terms with the contents of ${file.name}?`)) {
+        return;
+    }
+    
+    const { entries, invalidLines } = parseSelectionFile(await file.text());
+    const report = { invalidLines, unresolved: [], unverified: [] };
+    const terms = [];
+    
+    for (let i = 0; i < entries.length; i += IMPORT_CONFIG.LOOKUP_BATCH_SIZE) {
+        const batch = entries.slice(i, i + IMPORT_CONFIG.LOOKUP_BATCH_SIZE);
+        const lookups = await Promise.all(batch.map(entry => fetchTermRecord(entry.id).then(
+            record => ({ record }),
+            error => ({ error })
+        )));
         
-        if (annotationsResp.ok && parentsResp.ok && childrenResp.ok) {
-            const [annotations, termData, parents, children] = await Promise.all([
-                annotationsResp.json(),
-                termResp.json(),
-                parentsResp.json(),
-                childrenResp.json()
-            ]);
-            
-            return {
-                definition: termData.definition || 'No definition available',
-                synonyms: Array.isArray(termData.synonyms) ? termData.synonyms.filter(Boolean) : [],
-                genes: Array.isArray(annotations.genes) ? 
-                    annotations.genes.map(g => g.name).filter(Boolean) : [],
-                diseases: Array.isArray(annotations.diseases) ? 
-                    annotations.diseases.map(d => `${d.name} (${d.id})`).filter(Boolean) : [],
-                parents: Array.isArray(parents) ? 
-                    parents.map(p => ({ name: p.name, id: p.id })) : [],
-                children: Array.isArray(children) ? 
-                    children.map(c => ({ name: c.name, id: c.id })) : []
-            };
-        }
-    } catch (error) {
-        console.warn('JAX annotation fetch failed for', hpId, error);
+        // Results are handled in file order so the selection keeps the order of the file
+        lookups.forEach(({ record, error }, index) => {
+            const entry = batch[index];
+            if (error) {
+                // Keep the term as written when the API cannot confirm it
+                console.warn('Could not verify imported term', entry.id, error);
+                terms.push(entry);
+                report.unverified.push(entry);
+            } else if (record) {
+                terms.push({ ...entry, ...record });
+            } else {
+                report.unresolved.push(entry);
+            }
+        });
     }
     
-    // Return empty data structure on failure
-    return {
-        definition: [],
-        synonyms: [],
-        genes: [],
-        diseases: [],
-        parents: [],
-        children: []
-    };
-}
-
-// =============================================================================
-// FAVORITES MANAGEMENT
-// =============================================================================
-
-/**
- * Render frequently used terms in the favorites section
- */
-function renderFrequentTerms() {
-    if (!DOM.favorites.list) return;
+    const sampleMatch = file.name.match(/^(.+)\.hpo$/i);
+    if (sampleMatch) document.getElementById('sample_id').value = sampleMatch[1];
     
-    DOM.favorites.list.innerHTML = '';
+    AppState.selectedTerms = terms;
+    renderSelectionList();
+    updateExportButtonState();
     
-    FREQUENT_TERMS.forEach(term => {
-        const listItem = createFavoriteListItem(term);
-        DOM.favorites.list.appendChild(listItem);
-    });
+    showImportReport(file.name, terms.length, report);
 }
 
 /**
- * Create a list item for favorites
- * @param {Object} term - Term object for favorite item
- * @returns {HTMLLIElement} Configured favorite list item
+ * Parse the tab-separated name/ID lines written by buildHPOList
+ * @param {string} text - File contents
+ * @returns {Object} Parsed entries and the lines that could not be parsed
  */
-function createFavoriteListItem(term) {
-    const li = document.createElement('li');
-    li.className = 'favorite-item';
-    li.innerHTML = `<span>${escapeHTML(term.name)} (${escapeHTML(term.id)})</span>`;
-    li.addEventListener('click', () => addTermToSelection(term));
+function parseSelectionFile(text) {
+    const entries = [];
+    const invalidLines = [];
     
-    return li;
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        
+        const [rawName = '', id = '', ...extraColumns] = line.split('\t').map(column => column.trim());
+        
+        if (!/^HP:\d{7}$/.test(id)) {
+            invalidLines.push({ lineNumber: index + 1, text: line });
+            return;
+        }
+        
+        // A leading "!" marks an excluded (negated) phenotype
+        const excluded = rawName.startsWith('!');
+        const name = excluded ? rawName.slice(1).trim() : rawName;
+        
+        if (!entries.some(entry => entry.id === id)) {
+            entries.push({ name, id, excluded, ...parseModifierColumns(extraColumns) });
+        }
+    });
+    
+    return { entries, invalidLines };
 }
 
-// =============================================================================
-// EXPORT FUNCTIONALITY
-// =============================================================================
-
 /**
- * Export selected terms to a text file
+ * Tell the user what was imported and what was skipped
+ * @param {string} fileName - Name of the imported file
+ * @param {number} importedCount - Number of terms added to the selection
+ * @param {Object} report - Invalid lines, unresolved and unverified entries
  */
-function exportSelectedTerms() {
-    if (AppState.selectedTerms.length === 0) return;
-    
-    const content = AppState.selectedTerms
-        .map(term => `${term.name}\t${term.id}`)
-        .join('\n');
+function showImportReport(fileName, importedCount, report) {
+    const { invalidLines, unresolved, unverified } = report;
+    if (invalidLines.length === 0 && unresolved.length === 0 && unverified.length === 0) return;
     
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const downloadLink = document.createElement('a');
-
-    const sampleIdInput = document.getElementById('sample_id');
-    const sampleId = sampleIdInput ? sampleIdInput.value.trim() : '';
-    const fileName = sampleId ? `${sampleId}.hpo` : 'HPO_terms.txt';
+    const sections = [`Imported ${importedCount} terms from ${fileName}.`];
     
-    downloadLink.href = url;
-    downloadLink.download = fileName;
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
+    if (invalidLines.length > 0) {
+        sections.push('Lines that could not be parsed:\n' +
+            invalidLines.map(({ lineNumber, text }) => `  line ${lineNumber}: ${text}`).join('\n'));
+    }
+    if (unresolved.length > 0) {
+        sections.push('IDs that no longer resolve (skipped):\n' +
+            unresolved.map(({ name, id }) => `  ${id} ${name}`).join('\n'));
+    }
+    if (unverified.length > 0) {
+        sections.push('IDs that could not be verified (kept as written):\n' +
+            unverified.map(({ name, id }) => `  ${id} ${name}`).join('\n'));
+    }
     
-    // Clean up
-    setTimeout(() => {
-        document.body.removeChild(downloadLink);
-        URL.revokeObjectURL(url);
-    }, 100);
-
-    // Clear all selections after export
-    clearAllSelections()
+    alert(sections.join('\n\n'));
 }
 
 // =============================================================================
@@ -995,20 +7029,67 @@ function updateResultsUI(state) {
     DOM.search.count.textContent = state.count;
 }
 
+/**
+ * Show a secondary dialog such as the gene prioritization panel
+ * @param {HTMLElement} container - Modal container element
+ */
+function openDialog(container) {
+    const isOpen = AppState.dialogStack.some(entry => entry.container === container);
+    
+    container.style.display = 'block';
+    container.setAttribute('aria-hidden', 'false');
+    
+    if (!isOpen) {
+        AppState.dialogStack.push({ container, returnFocus: document.activeElement });
+        getFocusableElements(container)[0]?.focus();
+    } else if (!container.contains(document.activeElement)) {
+        // Content was re-rendered under the focused element (e.g. modal navigation)
+        getFocusableElements(container)[0]?.focus();
+    }
+}
+
+/**
+ * Hide a secondary dialog
+ * @param {HTMLElement} container - Modal container element
+ */
+function closeDialog(container) {
+    container.style.display = 'none';
+    container.setAttribute('aria-hidden', 'true');
+    
+    const index = AppState.dialogStack.findIndex(entry => entry.container === container);
+    if (index === -1) return;
+    
+    const [entry] = AppState.dialogStack.splice(index, 1);
+    const returnFocus = entry.returnFocus;
+    if (returnFocus && document.body.contains(returnFocus)) {
+        returnFocus.focus();
+    } else {
+        DOM.search.input.focus();
+    }
+}
+
+/**
+ * Get the visible, enabled elements inside a container that can receive focus
+ * @param {HTMLElement} container - Element to search
+ * @returns {Array<HTMLElement>} Focusable elements in document order
+ */
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden]'));
+}
+
 /**
  * Show modal no data state
  */
 function showModalNoDataState() {
+    if (DOM.modal.breadcrumbs) DOM.modal.breadcrumbs.innerHTML = '';
+    if (DOM.modal.tree) DOM.modal.tree.innerHTML = '<li><em>No HP ID available</em></li>';
     if (DOM.modal.genes) DOM.modal.genes.innerHTML = '<em>No HP ID available</em>';
     if (DOM.modal.diseases) DOM.modal.diseases.innerHTML = '<li><em>No HP ID available</em></li>';
     const geneCountSpan = document.getElementById('genes-count');
     const diseaseCountSpan = document.getElementById('diseases-count');
-    const parentsCountSpan = document.getElementById('parents-count');
-    const childrenCountSpan = document.getElementById('children-count');
     if (geneCountSpan) geneCountSpan.textContent = '(0)';
     if (diseaseCountSpan) diseaseCountSpan.textContent = '(0)';
-    if (parentsCountSpan) parentsCountSpan.textContent = '(0)';
-    if (childrenCountSpan) childrenCountSpan.textContent = '(0)';
 }
 
 /**
@@ -1019,12 +7100,8 @@ function showModalErrorState() {
     if (DOM.modal.diseases) DOM.modal.diseases.innerHTML = '<li><em>Unable to load diseases</em></li>';
     const geneCountSpan = document.getElementById('genes-count');
     const diseaseCountSpan = document.getElementById('diseases-count');
-    const parentsCountSpan = document.getElementById('parents-count');
-    const childrenCountSpan = document.getElementById('children-count');
     if (geneCountSpan) geneCountSpan.textContent = '(0)';
     if (diseaseCountSpan) diseaseCountSpan.textContent = '(0)';
-    if (parentsCountSpan) parentsCountSpan.textContent = '(0)';
-    if (childrenCountSpan) childrenCountSpan.textContent = '(0)';
 }
 
 // =============================================================================
@@ -1033,13 +7110,46 @@ function showModalErrorState() {
 
 /**
  * Basic HTML escaping to prevent XSS
+ * Quotes are escaped too, so the result is also safe inside attribute values
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeHTML(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and wrap every occurrence of the query's words in <mark>
+ * @param {string} text - Text to display
+ * @param {string} query - Search term whose words should be highlighted
+ * @returns {string} Escaped HTML with highlighted matches
+ */
+function highlightMatches(text, query) {
+    const source = String(text || '');
+    const lowerSource = source.toLowerCase();
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    
+    // Collect [start, end) ranges of every word occurrence, then merge overlaps
+    const ranges = [];
+    words.forEach(word => {
+        for (let start = lowerSource.indexOf(word); start !== -1; start = lowerSource.indexOf(word, start + 1)) {
+            ranges.push([start, start + word.length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        if (end <= position) return;
+        start = Math.max(start, position);
+        html += escapeHTML(source.slice(position, start)) + `<mark>${escapeHTML(source.slice(start, end))}</mark>`;
+        position = end;
+    });
+    
+    return html + escapeHTML(source.slice(position));
 }
 
 // =============================================================================
@@ -1051,11 +7161,19 @@ function escapeHTML(text) {
  * Sets up event listeners and initial UI state
  */
 function initializeApplication() {
+    loadProviderSettings();
     initializeEventListeners();
-    renderFrequentTerms();
-    renderSelectionList();
+    initializeAnnotationControls();
+    loadSearchScopeOptions();
+    renderShortcutHelp();
+    loadFavorites();
+    loadPersistedCases();
+    initializeLanguage();
     showEmptySearchState();
     updateExportButtonState();
+    updateOntologyStatus();
+    initializeCacheControl();
+    handleRouteChange();
 }
 
 // Start the application when DOM is loaded